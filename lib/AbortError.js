@@ -0,0 +1,47 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Util = require('util');
+
+/* =============================================================================
+ *
+ * AbortError - Error produced when a bulk operation is cancelled, either with
+ * job.cancel() or through an AbortSignal (see Job).
+ *
+ * ========================================================================== */
+
+module.exports = AbortError;
+
+Util.inherits(AbortError, Error);
+
+/**
+ * @param [phase] {?string} The bcp operation which was cancelled: "format", "in", "out" or "queryout".
+ * @constructor
+ */
+function AbortError (phase)
+{
+	Error.call(this);
+	Error.captureStackTrace(this, AbortError);
+
+	/* -------------------------------------------------------------------
+	 * Public Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	this.name = 'AbortError';
+
+	/**
+	 * Always "ABORT_ERR", the same code Node uses for operations cancelled with an AbortSignal.
+	 * @member {string}
+	 */
+	this.code = 'ABORT_ERR';
+
+	/**
+	 * The bcp operation which was running or about to run, or null if the job was cancelled between bcp runs.
+	 * @member {?string}
+	 */
+	this.phase = phase || null;
+
+	this.message = phase ? 'bcp ' + phase + ' was cancelled' : 'The bulk operation was cancelled';
+}
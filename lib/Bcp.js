@@ -3,15 +3,29 @@
  * Require Statements << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
-var Athena = require('odyssey').athena;
+var AbortError = require('./AbortError');
+var BcpError = require('./BcpError');
 var ChildProcess = require('child_process');
+var ChunkedImportFile = require('./ChunkedImportFile');
+var Crypto = require('crypto');
+var DateTime = require('./DateTime');
 var debug = require('neo-debug')('bcp:');
+var ErrorFile = require('./ErrorFile');
+var EventEmitter = require('events').EventEmitter;
+var ExportStream = require('./ExportStream');
+var Flow = require('./Flow');
 var FormatFile = require('./FormatFile');
 var Fs = require('fs');
 var ImportFile = require('./ImportFile');
+var Job = require('./Job');
 var mkdirp = require('mkdirp');
+var Native = require('./Native');
 var Os = require('os');
 var Path = require('path');
+var Stream = require('stream');
+var TextFormat = require('./TextFormat');
+var Types = require('./Types');
+var Util = require('util');
 
 /* =============================================================================
  *
@@ -27,17 +41,48 @@ var Path = require('path');
 var HOME = process.env.HOME || process.env.USERPROFILE;
 var TMP = Path.join(HOME, '.bcp');
 
+// bcp processes started in their own process group (see Bcp#processGroup). They don't receive this process's signals,
+// so they are killed when it exits or is interrupted. The listeners which do that are only installed while there are any.
+var groupProcesses = [];
+
 var NUL = String.fromCharCode(0);
 
+// terminators for reading the description of a query's results (see formatDescribe), which won't be found in column
+// names or types
+var DESCRIBE_FIELD_TERMINATOR = '~|~';
+var DESCRIBE_ROW_TERMINATOR = '~||~';
+
 module.exports = Bcp;
+Bcp.AbortError = AbortError;
+Bcp.BcpError = BcpError;
+Bcp.ExportStream = ExportStream;
 Bcp.FormatFile = FormatFile;
+Bcp.Job = Job;
 
+Util.inherits(Bcp, EventEmitter);
+
+/**
+ * Emits "retry" with { phase, attempt, attempts, delay, error } before a failed bcp command is run again (see retry),
+ * and "progress" while bulk operations run (see bulkInsert).
+ * @param options {object}
+ * @constructor
+ */
 function Bcp (options)
 {
+	EventEmitter.call(this);
+
 	this.exec = options.exec || 'bcp';
 	this.timeout = options.timeout || 0;
 	this.killSignal = options.killSignal || 'SIGTERM';
 
+	/**
+	 * If true, bcp is started in its own process group (except on Windows), so cancelling or timing out also kills any
+	 * processes it started, e.g. when exec is a wrapper script. Those processes don't receive the terminal's Ctrl+C, so
+	 * they are killed when this process exits, or receives SIGINT or SIGTERM. Default: false.
+	 * @member {boolean}
+	 */
+	this.processGroup = !!options.processGroup;
+
 	/**
 	 * The directory where format and data files will be stored for bulk operations. The current user must have access
 	 * to this directory. If it does not exist, Bcp will attempt to create it. Defaults to $HOME/.bcp
@@ -300,10 +345,28 @@ function Bcp (options)
 	 *
 	 * If password begins with a hyphen (-) or a forward slash (/), do not add a space between -P and the password
 	 * value.
-	 * @member {string}
+	 *
+	 * The password is passed with -P, unless passwordStdin is set. It is always redacted from debug logs and errors.
+	 * The password may also be a function which provides it on demand, either as function (callback) { callback(error, password) }
+	 * or by returning a Promise.
+	 * @member {string|function}
 	 */
 	this.password = options.password;
 
+	/**
+	 * The name of an environment variable which contains the password. Only used when password is not set.
+	 * @member {string}
+	 */
+	this.passwordEnv = options.passwordEnv;
+
+	/**
+	 * If true, bcp is started without -P, and the password is written to its password prompt over stdin, so it is
+	 * never visible to anyone who can list processes. Only use it with a bcp build which reads the prompt from a
+	 * redirected stdin. One which reads the console directly fails to authenticate.
+	 * @member {boolean}
+	 */
+	this.passwordStdin = !!options.passwordStdin;
+
 	/**
 	 * -q
 	 *
@@ -395,10 +458,92 @@ function Bcp (options)
 	/**
 	 * -n
 	 * 
-	 * Specifies that the bcp utility to use the native data format.
+	 * Specifies that the bcp utility to use the native data format. Tables with date, time, datetime2 or datetimeoffset
+	 * columns are not supported (see Native.checkFields).
 	 * @member {boolean}
 	 */
 	this.native = !!options.native;
+
+	/**
+	 * Caches the format files which bcp generates, so each table's format is only generated once instead of forking
+	 * bcp on every bulk operation. Set to true, or to an object:
+	 *
+	 *     {
+	 *         ttl: 3600000,   // milliseconds before a cached format is regenerated. 0 (default) never expires.
+	 *         persist: true   // also store cached formats under tmp so they survive restarts. Default: false.
+	 *     }
+	 *
+	 * Formats are cached per server, database, schema and table. Call invalidateFormatCache after altering a table.
+	 * Null when caching is disabled (the default).
+	 *
+	 * persist is ignored on linux, where bcp can't write XML format files. A non-XML format file doesn't keep the
+	 * column metadata (such as SQL types and scale) which an XML one does, so formats are only cached in memory there.
+	 * @member {?{ ttl: number, persist: boolean }}
+	 */
+	this.formatCache = options.formatCache ? {
+		ttl: Number(options.formatCache.ttl) || 0,
+		persist: !!options.formatCache.persist && Os.platform() !== 'linux'
+	} : null;
+
+	/**
+	 * Codecs registered on this instance with registerType, keyed by bcp type. These take precedence over codecs
+	 * registered globally with Bcp.registerType.
+	 * @member {object}
+	 */
+	this.types = {};
+
+	/**
+	 * The time zone of date and time values which don't have an offset (everything except datetimeoffset): "utc",
+	 * "local" (the time zone of this process) or an IANA zone name such as "America/Chicago". Dates are written as the
+	 * wall clock time in this zone, and read back the same way, so values round trip unchanged. In native format, this
+	 * only applies to datetime and smalldatetime. Default: "utc".
+	 * @member {string}
+	 */
+	this.timezone = options.timezone || 'utc';
+	try
+	{
+		DateTime.getOffset(Date.now(), this.timezone);
+	}
+	catch (ex)
+	{
+		throw new Error('Invalid timezone "' + this.timezone + '": ' + ex.message);
+	}
+
+	/**
+	 * Runs bcp again when it fails with a transient error, such as a deadlock, a login timeout or a dropped
+	 * connection. Set to true to use the defaults, or to an object:
+	 *
+	 *     {
+	 *         attempts: 3,        // the total number of times to run bcp, including the first. Default: 3.
+	 *         delay: 1000,        // milliseconds to wait before the first retry. Default: 1000.
+	 *         backoff: 2,         // the delay is multiplied by this after every retry. Default: 2.
+	 *         maxDelay: 30000,    // the longest delay between attempts. Default: 30000.
+	 *         sqlStates: [...],   // retryable SQLStates. Default: Bcp.transientSqlStates.
+	 *         errors: [...]       // retryable native error numbers. Default: Bcp.transientErrors.
+	 *     }
+	 *
+	 * A BcpError is retryable if any of its errors has one of the SQLStates or native error numbers. The same format
+	 * and data files are used for every attempt, and they are kept until the last one. A "retry" event is emitted
+	 * before each retry. Be careful when combining this with batchSize, since batches committed before the failure
+	 * are imported again. Null when retries are disabled (the default).
+	 * @member {?{ attempts: number, delay: number, backoff: number, maxDelay: number, sqlStates: string[],
+	 *     errors: number[] }}
+	 */
+	this.retry = options.retry ? {
+		attempts: Math.max(1, Number(options.retry.attempts) || 3),
+		delay: 'delay' in Object(options.retry) ? Number(options.retry.delay) || 0 : 1000,
+		backoff: Number(options.retry.backoff) || 2,
+		maxDelay: 'maxDelay' in Object(options.retry) ? Number(options.retry.maxDelay) || 0 : 30000,
+		sqlStates: (options.retry.sqlStates || Bcp.transientSqlStates).map(function (s) { return String(s).toUpperCase(); }),
+		errors: (options.retry.errors || Bcp.transientErrors).map(Number)
+	} : null;
+
+	/* -------------------------------------------------------------------
+	 * Private Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	// cached formats by cache key: { table: string, format: FormatFile, expires: number }
+	this._formats = {};
 	
 }
 
@@ -406,156 +551,396 @@ function Bcp (options)
  * Public Static Members Declaration << no methods >>
  * ---------------------------------------------------------------- */
 
-// anything not listed here will be serialized/deserialized as strings
+// anything not listed here will be serialized/deserialized as strings. decimal, numeric and money columns are left as
+// strings so they stay exact. bigint is a string because Number loses precision above 2^53. Set SQLBIGINT to BigInt
+// to get BigInt values instead (or to Number for the old, lossy behavior).
 Bcp.typesMap = {
 	SQLBIT: Boolean,
 	SQLTINYINT: Number,
 	SQLSMALLINT: Number,
 	SQLINT: Number,
-	SQLBIGINT: Number,
+	SQLBIGINT: String,
 	SQLFLT4: Number,
 	SQLFLT8: Number,
 	SQLDATETIME: Date,
 	SQLDATETIM4: Date,
-	SQLDATETIM8: Date
+	SQLDATETIM8: Date,
+	SQLDATE: Date,
+	SQLTIME: Date,
+	SQLDATETIME2: Date,
+	SQLDATETIMEOFFSET: Date,
+	SQLBINARY: Buffer,
+	SQLVARYBIN: Buffer,
+	SQLBIGBINARY: Buffer,
+	SQLBIGVARYBIN: Buffer,
+	SQLIMAGE: Buffer
 };
 
+// native error numbers which retry treats as transient by default: deadlock victim (1205), query timeout (-2),
+// dropped or refused connections (233, 10053, 10054, 10060) and Azure SQL failovers and throttling.
+Bcp.transientErrors = [ -2, 233, 1205, 10053, 10054, 10060, 10928, 10929, 40143, 40197, 40501, 40613, 49918, 49919,
+	49920 ];
+
+// SQLStates which retry treats as transient by default: serialization failure or deadlock (40001), unable to connect
+// (08001), communication link failure (08S01) and timeouts (HYT00, HYT01).
+Bcp.transientSqlStates = [ '40001', '08001', '08S01', 'HYT00', 'HYT01' ];
+
 /* -------------------------------------------------------------------
  * Public Static Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
 /**
- *
- * @param filename {string}
+ * Converts an export file into CSV (RFC 4180, with a header row) or newline-delimited JSON. Values are typed by the
+ * format file's fields (see TextFormat), and the file is streamed, so it is never held in memory. If no callback is
+ * provided, a Promise is returned which resolves with { target, rowCount }.
+ * @param exportFile {string}
  * @param format {FormatFile}
- * @param callback
+ * @param target {string|Writable} The filename to write, or a stream (which is ended once the conversion is done).
+ * @param [options] {{ type: string, header: boolean, delimiter: string, newline: string, types: object,
+ * timezone: string }} type is "csv" or "ndjson", and defaults to the target's extension. See TextFormat.createWriter
+ * for header, delimiter and newline, and Bcp.createExportStream for types and timezone.
+ * @param [callback] {function(Error, object)}
+ * @return {Promise|undefined}
  */
-Bcp.readExport = function (filename, format, callback)
+Bcp.convertExport = function (exportFile, format, target, options, callback)
 {
-	// TODO: support streaming
-	Fs.readFile(filename, { encoding: format.encoding }, function (error, data)
+	if (typeof options === 'function')
+	{
+		callback = options;
+		options = null;
+	}
+
+	if (typeof callback !== 'function')
+		return Flow.promise(null, Bcp.convertExport, [ exportFile, format, target, options ]);
+
+	options = options || {};
+
+	var type, rows, writer;
+	try
+	{
+		type = TextFormat.getType(options.type || (typeof target === 'string' ? target : null));
+		rows = Bcp.createExportStream(exportFile, format, options);
+		writer = TextFormat.createWriter(type, format.fields, options);
+	}
+	catch (ex)
+	{
+		setImmediate(callback, ex);
+		return;
+	}
+
+	var output = typeof target === 'string' ? Fs.createWriteStream(target) : target;
+
+	debug('Converting ' + exportFile + ' to ' + type + '...');
+	Stream.pipeline(rows, writer, output, function (error)
 	{
 		if (error)
-		{
 			callback(error);
-			return;
-		}
+		else
+			callback(null, { target: target, rowCount: rows.rowCount });
+	});
+};
 
-		var rows = [];
-		var i = 0;
-		/** @type {Field} */
-		var f;
-		var c, o, t;
-		var fLength = format.fields.length;
-		var terms = format.fields.map(function (f) { return f.terminator; });
-		var dex;
-		data_loop:
-		while (i < data.length)
-		{
-			o = {};
-			for (c = 0; c < fLength; c++)
-			{
-				t = terms[c];
-				dex = data.indexOf(t, i);
-				if (dex === -1)
-					break data_loop;
-
-				f = format.fields[c];
-				o[f.name] = fieldDeserialize(data.substring(i, dex), f);
-				i = dex + t.length;
-			}
+/**
+ * Creates an object-mode Readable stream which emits one object per row of an export file. Rows are parsed as the file
+ * is read, so the whole export never needs to be held in memory.
+ * @param filename {string}
+ * @param format {FormatFile}
+ * @param [options] {{ types: object, timezone: string }} Codecs which take precedence over the global ones, and the
+ * time zone of date values (see Bcp#types and Bcp#timezone). A Bcp instance can be passed to use its settings.
+ * @return {ExportStream}
+ */
+Bcp.createExportStream = function (filename, format, options)
+{
+	return new ExportStream(filename, format, fieldDeserialize, options);
+};
+
+/**
+ * Reads an entire export file into an array of row objects. For large exports, use Bcp.createExportStream instead.
+ * @param filename {string}
+ * @param format {FormatFile}
+ * @param [options] {{ types: object, timezone: string }} See Bcp.createExportStream.
+ * @param callback
+ */
+Bcp.readExport = function (filename, format, options, callback)
+{
+	if (typeof options === 'function')
+	{
+		callback = options;
+		options = null;
+	}
 
-			debug(o);
+	var rows = [];
+	var called = false;
+	var stream = Bcp.createExportStream(filename, format, options);
 
-			rows.push(o);
-		}
+	stream.on('data', function (o)
+	{
+		debug(o);
+		rows.push(o);
+	});
 
-		callback(null, rows);
+	stream.on('end', function ()
+	{
+		done(null, rows);
+	});
+
+	stream.on('error', function (error)
+	{
+		done(error);
 	});
+
+	function done (error, rows)
+	{
+		if (called)
+			return;
+
+		called = true;
+		callback(error, rows);
+	}
+};
+
+/**
+ * Registers a codec for a bcp type (e.g. "SQLDECIMAL") which is used by every Bcp instance, for both imports and
+ * exports. serialize(value, field) converts an application value into one the built-in serialization understands (a
+ * string always works). deserialize(value, field) receives the value produced by the built-in deserialization (see
+ * Bcp.typesMap). Null values are never passed to a codec. Pass null as the codec to remove it.
+ * @param sqlType {string}
+ * @param codec {?{ serialize: function(*, Field):*, deserialize: function(*, Field):* }}
+ */
+Bcp.registerType = function (sqlType, codec)
+{
+	Types.register(null, sqlType, codec);
 };
 
 /* -------------------------------------------------------------------
  * Public Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Exports a table (or the results of options.sql) using bcp. Pass options.format (e.g. from FormatFile.fromColumns) to
+ * use a prebuilt format instead of asking bcp to generate one, or options.columns to build one from a list of column
+ * definitions (see FormatFile.fromColumns) or names (which are read as strings). Otherwise, the format of a table
+ * export is generated by bcp, and the format of an options.sql export is built from the columns SQL Server describes
+ * for the query's first result set (which requires SQL Server 2012 or later). table may be omitted (or null) when
+ * options.sql is set, and is only used to report progress. Set options.convert to a filename ending in .csv or
+ * .ndjson, or to { target, type, header, delimiter, newline } (see Bcp.convertExport), to convert the export into that
+ * file instead of reading the rows. details then has convertedFile and convertedRows. Progress is reported to
+ * options.onProgress and the "progress" event, as for bulkInsert, and options.signal cancels the export, as for
+ * bulkInsert. If no callback is provided, a Promise is returned which resolves with { rows, details }.
+ * @param [table] {?string}
+ * @param [options]
+ * @param [callback] {function(Error, (object[]|ExportStream), object)}
+ * @return {Job|Promise}
+ */
 Bcp.prototype.bulkExport = function (table, options, callback)
 {
+	if (table && typeof table === 'object')
+	{
+		callback = options;
+		options = table;
+		table = null;
+	}
+
 	if (typeof options === 'function')
 	{
 		callback = options;
 		options = null;
 	}
 
+	if (typeof callback !== 'function')
+	{
+		return Flow.promise(this, this.bulkExport, [ table, options ], function (rows, details)
+		{
+			return { rows: rows, details: details };
+		});
+	}
+
 	var base = tempFile(this);
 	
 	var defaultOptions = {
 		read: true,
+		stream: false,
 		keepFiles: false,
 		formatFile: base + '_format',
 		exportFile: base + '_export.dat',
-		sql: null
+		format: null,
+		columns: null,
+		sql: null,
+		onProgress: null,
+		signal: null,
+		convert: null
 	};
 
 	options = mergeOptions(defaultOptions, options);
 
-	if (!options.read)
+	if (!options.read && !options.stream && !options.convert)
 		options.keepFiles = true;
 
 	var common = getCommonArgs(this);
-	table = getQualifiedTable(this, table);
+	table = table ? getQualifiedTable(this, table) : null;
 
 	var formatFile = options.formatFile;
 	var exportFile = options.exportFile;
 	var sql = options.sql;
+	// whether bcp generates the format for the table, as opposed to it being supplied or built from columns
+	var generated = !options.format && !options.columns && sql === null;
 
 	var _this = this;
 	var format, rows;
+	var progress = progressReporter(this, options.onProgress, sql === null ? 'out' : 'queryout', table, exportFile);
+	var job = new Job(options.signal);
+	job.progress = progress;
 	var details = {
 		formatFile: formatFile,
 		exportFile: exportFile,
+		keptFiles: [],
 		rowCount: 0,
+		packetSize: null,
+		clockTime: null,
+		rowsPerSecond: null,
 		stdout: null
 	};
 
-	Athena.waterfall(
+	Flow.waterfall(
 		[
 			function (cb)
 			{
+				if (table === null && sql === null)
+				{
+					cb(new Error('bulkExport needs a table name or options.sql.'));
+					return;
+				}
+
 				ensureDirectories(formatFile, exportFile, cb);
 			},
 			function (cb)
 			{
-				formatGenerate(_this, table, formatFile, common, cb);
+				progress('format');
+				if (generated)
+				{
+					resolveFormat(_this, table, formatFile, null, common, job, cb);
+					return;
+				}
+
+				if (!options.format && !options.columns)
+				{
+					formatDescribe(_this, sql, formatFile, job, cb);
+					return;
+				}
+
+				var prebuilt;
+				try
+				{
+					prebuilt = options.format || formatFromColumns(_this, options.columns);
+				}
+				catch (ex)
+				{
+					cb(ex);
+					return;
+				}
+
+				resolveFormat(_this, table, formatFile, prebuilt, common, job, cb);
 			},
 			function (cb, f)
 			{
 				format = f;
 //				debug(format);
 
-				var cmd = '';
-				if (sql === null) {
-					cmd = _this.exec + ' ' + table + ' out ' + JSON.stringify(exportFile) + ' ' + common.join(' ');
-				} else {
-					cmd = _this.exec + ' ' + JSON.stringify(sql) + ' queryout ' + JSON.stringify(exportFile) + ' ' + common.join(' ');
-				}
+				// a format which bcp didn't generate may not match the command line format options, so give bcp the
+				// format file instead
+				if (!generated)
+					common = [ '-f', format.filename ].concat(getCommonArgs(_this, true));
+
+				var args;
+				if (sql === null)
+					args = [ table, 'out', exportFile ].concat(common);
+				else
+					args = [ sql, 'queryout', exportFile ].concat(common);
 
 				debug('Performing bulk export...');
-				debug(cmd);
-				ChildProcess.exec(cmd, { timeout: _this.timeout, killSignal: _this.killSignal }, cb);
+				progress('copy');
+				execBcp(_this, sql === null ? 'out' : 'queryout', args, job, cb);
 			},
 			function (cb, stdout)
 			{
 				debug(stdout);
+				details.formatFile = format.filename;
 				details.stdout = stdout;
-				var match = /(\d+) rows copied\./.exec(stdout);
-				if (match)
-					details.rowCount = Number(match[1]);
+				parseStats(stdout, details);
+
+				if (options.stream)
+				{
+					rows = Bcp.createExportStream(exportFile, format, _this);
+					if (options.keepFiles)
+					{
+						details.keptFiles = [ format.filename, exportFile ];
+					}
+					else
+					{
+						// the files are still needed until the consumer has finished reading the stream
+						onStreamClosed(rows, function ()
+						{
+							removeFiles([format.filename, exportFile], function (error)
+							{
+								if (error)
+									debug(error);
+							});
+						});
+					}
+
+					cb.break();
+					return;
+				}
+
+				if (job.cancelled)
+				{
+					cb(new AbortError());
+					return;
+				}
+
+				if (options.convert)
+				{
+					var convert = typeof options.convert === 'string' ? { target: options.convert } : options.convert;
+					var convertOptions = {
+						type: convert.type,
+						header: convert.header,
+						delimiter: convert.delimiter,
+						newline: convert.newline,
+						types: _this.types,
+						timezone: _this.timezone
+					};
+
+					progress('convert');
+					Bcp.convertExport(exportFile, format, convert.target, convertOptions, function (error, result)
+					{
+						if (result)
+						{
+							details.convertedFile = result.target;
+							details.convertedRows = result.rowCount;
+							progress('convert', result.rowCount);
+						}
+
+						cb(error, null);
+					});
+					return;
+				}
+
 				debug('Reading exported file...');
 
-				if (options.read)
-					Bcp.readExport(exportFile, format, cb);
-				else
+				if (!options.read)
+				{
 					cb(null, null);
+					return;
+				}
+
+				progress('read');
+				Bcp.readExport(exportFile, format, _this, function (error, r)
+				{
+					if (r)
+						progress('read', r.length);
+
+					cb(error, r);
+				});
 			},
 			function (cb, r)
 			{
@@ -563,44 +948,65 @@ Bcp.prototype.bulkExport = function (table, options, callback)
 
 				if (options.keepFiles)
 				{
+					details.keptFiles = [ format.filename, exportFile ];
 					cb();
 				}
 				else
 				{
-					// cleanup temp files
-					Athena.parallel(
-						[
-							function (cb)
-							{
-								Fs.unlink(formatFile, cb);
-							},
-							function (cb)
-							{
-								Fs.unlink(exportFile, cb);
-							}
-						],
-						cb
-					);
+					progress('cleanup');
+					removeFiles([format.filename, exportFile], cb);
 				}
 			}
 		],
-		function (hlog)
+		function (error)
 		{
-			if (hlog.failed)
-				callback(hlog);
-			else
+			job.finish();
+
+			if (!error)
+			{
 				callback(null, rows, details);
+				return;
+			}
+
+			if (!(error instanceof AbortError) || options.keepFiles)
+			{
+				callback(error);
+				return;
+			}
+
+			progress('cleanup');
+			discardFiles([ format ? format.filename : formatFilename(formatFile), exportFile ], function ()
+			{
+				callback(error);
+			});
 		}
 	);
+
+	return job;
 };
 
 /**
+ * Bulk inserts an existing data file. The callback receives a details object with the statistics bcp reported
+ * (rowCount, packetSize, clockTime in milliseconds, rowsPerSecond) and the paths of any files which were kept. If
+ * errorFile is set, details.rejectedRows (and the rejectedRows property of a BcpError) holds the rows bcp rejected,
+ * read back from the error file. options.errorFile overrides the instance's errorFile for this insert.
  *
+ * While the insert runs, options.onProgress (if set) is called, and the "progress" event is emitted, with
+ * { operation, table, file, phase, rows }. operation is "in", "out" or "queryout", and file is the data file. An event
+ * with rows set to null marks the start of a phase: "format", "copy", "read", "convert" or "cleanup". During the copy
+ * phase, rows is the number of rows bcp has reported sending or receiving so far, and during the read and convert
+ * phases (exports only) it is the number of rows read or converted.
+ *
+ * Pass an AbortSignal (or a Job) as options.signal, or call cancel() on the returned Job (or Promise), to cancel the
+ * insert. The running bcp process is killed, the format and data files are deleted unless keepFiles is set, and the
+ * callback receives an AbortError. Cancelling after bcp has finished has no effect, since the rows have already been
+ * committed. If no callback is provided, a Promise is returned which resolves with the details.
  * @param importFilename {string}
  * @param format {FormatFile}
  * @param table {string}
  * @param [options]
- * @param callback
+ * @param [callback] {function(Error, object)}
+ * @return {Job|Promise}
  */
 Bcp.prototype.bulkInsert = function (importFilename, format, table, options, callback)
 {
@@ -610,59 +1016,138 @@ Bcp.prototype.bulkInsert = function (importFilename, format, table, options, cal
 		options = null;
 	}
 
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.bulkInsert, [ importFilename, format, table, options ]);
+
 	var defaultOptions = {
-		keepFiles: false
+		keepFiles: false,
+		errorFile: this.errorFile,
+		onProgress: null,
+		signal: null
 	};
 
 	options = mergeOptions(defaultOptions, options);
 
+	table = getQualifiedTable(this, table);
+
 	var _this = this;
+	var errorFile = options.errorFile;
+	var progress = progressReporter(this, options.onProgress, 'in', table, importFilename);
+	var job = new Job(options.signal);
+	job.progress = progress;
+	var details = {
+		formatFile: format.filename,
+		importFile: importFilename,
+		keptFiles: [],
+		rowCount: 0,
+		packetSize: null,
+		clockTime: null,
+		rowsPerSecond: null,
+		stdout: null,
+		rejectedRows: []
+	};
 
-	Athena.waterfall(
+	Flow.waterfall(
 		[
 			function (cb)
 			{
-				var common = getCommonArgs(_this, true);
-				table = getQualifiedTable(_this, table);
-				var cmd = _this.exec + ' ' + table + ' in ' + JSON.stringify(importFilename) + ' -f ' + JSON.stringify(format.filename) + ' ' + common.join(' ');
+				var common = getCommonArgs(_this, true, errorFile);
+				var args = [ table, 'in', importFilename, '-f', format.filename ].concat(common);
 				debug('Performing bulk insert...');
-				debug(cmd);
-				ChildProcess.exec(cmd, { timeout: _this.timeout, killSignal: _this.killSignal }, cb);
+				progress('copy');
+				execBcp(_this, 'in', args, job, function (error, stdout)
+				{
+					if (!errorFile)
+					{
+						cb(error, stdout);
+						return;
+					}
+
+					// read the rejected rows whether or not bcp failed, since exceeding maxErrors is what fails it
+					ErrorFile.read(errorFile, format, fieldDeserialize, _this, function (readError, rejected)
+					{
+						if (readError)
+							debug('Unable to read error file ' + errorFile + ': ' + readError.message);
+
+						details.rejectedRows = rejected;
+						if (error)
+							error.rejectedRows = rejected;
+
+						cb(error, stdout);
+					});
+				});
 			},
 			function (cb, stdout)
 			{
 				debug(stdout);
+				details.stdout = stdout;
+				parseStats(stdout, details);
+
 				if (options.keepFiles)
 				{
+					details.keptFiles = [ format.filename, importFilename ];
 					cb();
 				}
 				else
 				{
-					// cleanup temp files
-					Athena.parallel(
-						[
-							function (cb)
-							{
-								Fs.unlink(format.filename, cb);
-							},
-							function (cb)
-							{
-								Fs.unlink(importFilename, cb);
-							}
-						],
-						cb
-					);
+					progress('cleanup');
+					removeFiles([format.filename, importFilename], cb);
 				}
 			}
 		],
-		function (hlog)
+		function (error)
 		{
-			callback(hlog.failed ? hlog : null);
+			job.finish();
+
+			if (!error)
+			{
+				callback(null, details);
+				return;
+			}
+
+			if (!(error instanceof AbortError) || options.keepFiles)
+			{
+				callback(error);
+				return;
+			}
+
+			progress('cleanup');
+			discardFiles([ format.filename, importFilename ], function ()
+			{
+				callback(error);
+			});
 		}
 	);
+
+	return job;
 };
 
-Bcp.prototype.prepareBulkInsert = function (table, columns, options, callback)
+/**
+ * Imports a CSV (RFC 4180) or newline-delimited JSON file into a table. The file is streamed into a data file as it is
+ * parsed (see TextFormat.createReader), so it is never held in memory, and quoted values may contain anything,
+ * including line breaks and bcp's terminators. The CSV header, or the properties of the first NDJSON row, name the
+ * columns, which are matched to the table's columns case-insensitively, as for prepareBulkInsert. Set
+ * options.columns to import only some of them, or to name the fields of a CSV file without a header (options.header
+ * = false).
+ *
+ * Values are converted to the types of their columns (see Bcp.typesMap): "true" and "1" become true in a bit column,
+ * numbers become Numbers, dates are read in this instance's time zone (see Bcp#timezone) and hex becomes a Buffer.
+ * Custom codecs then deserialize them, as for exports. Values which can't be converted are imported as they are, so
+ * set options.strict to have them reported with their row and column instead.
+ *
+ * options.format is "csv" or "ndjson", and defaults to the file's extension. header, delimiter and encoding are passed
+ * to TextFormat.createReader. autoTerminators defaults to true. The other options are passed to prepareBulkInsert (e.g.
+ * strict, chunkRows) and ImportFile#execute (e.g. keepFiles, errorFile), and onProgress and signal work as they do for
+ * bulkInsert. If the file can't be read or parsed, the data and format files are deleted unless keepFiles is set. If no
+ * callback is provided, a Promise is returned which resolves with the details of the insert (see bulkInsert, or
+ * ChunkedImportFile#execute for a chunked import), with the ImportFile's invalidRows added.
+ * @param table {string}
+ * @param filename {string}
+ * @param [options]
+ * @param [callback] {function(Error, object)}
+ * @return {Job|Promise}
+ */
+Bcp.prototype.importFile = function (table, filename, options, callback)
 {
 	if (typeof options === 'function')
 	{
@@ -670,65 +1155,420 @@ Bcp.prototype.prepareBulkInsert = function (table, columns, options, callback)
 		options = null;
 	}
 
-	var base = tempFile(this);
-	var defaultOptions = {
-		formatFile: base + '_format',
-		importFile: base + '_import.dat'
-	};
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.importFile, [ table, filename, options ]);
 
-	options = mergeOptions(defaultOptions, options);
+	options = options || {};
 
 	var _this = this;
-	var common = getCommonArgs(this);
-	var fullTable = getQualifiedTable(this, table);
-	/** @type {FormatFile} */
-	var format, imp;
+	var job = new Job(options.signal);
+	var csv, reader;
+	try
+	{
+		csv = TextFormat.getType(options.format || filename) === 'csv';
+		reader = TextFormat.createReader(csv ? 'csv' : 'ndjson', options);
+	}
+	catch (ex)
+	{
+		job.finish();
+		setImmediate(callback, ex);
+		return job;
+	}
 
-	Athena.waterfall(
-		[
-			function (cb)
-			{
-				ensureDirectories(options.formatFile, options.importFile, cb);
-			},
-			function (cb)
-			{
-				formatGenerate(_this, fullTable, options.formatFile, common, cb);
-			},
-			function (cb, f)
-			{
-				format = f;
-				// check to make sure the format contains all of the columns
-				var reorderedFields = [];
-				var origFieldNames = format.fields.map(function (f) { return f.name.toLowerCase(); });
-				var dex;
-				for (var i = 0; i < columns.length; i++)
-				{
-					dex = origFieldNames.indexOf(columns[i].toLowerCase());
-					if (dex === -1)
-					{
-						cb(new Error(fullTable + ' does not contain column ' + columns[i]));
-						return;
-					}
+	// the rest of the options are for prepareBulkInsert and execute, and options.format means something else to them
+	var insertOptions = { autoTerminators: true };
+	for (var key in options)
+		insertOptions[key] = options[key];
 
-					format.fields[dex].name = columns[i];
-					format.fields[dex].inImport = true;
-				}
+	insertOptions.format = null;
+	insertOptions.signal = job;
 
-//				debug(require('util').inspect(format, {depth:Infinity}));
-				debug('Creating Import File...');
-				imp = new ImportFile(_this, format, table, options.importFile, _this.unicode ? 'ucs2' : 'ascii');
-				cb();
+	/** @type {ImportFile|ChunkedImportFile} */
+	var imp = null;
+	var convert = null;
+
+	// the table's format can't be prepared until the first row has been read, since that's what names the columns
+	var sink = new Stream.Writable({
+		objectMode: true,
+		write: function (row, encoding, cb)
+		{
+			if (convert)
+			{
+				writeRow(row, cb);
+				return;
 			}
-		],
-		function (hlog)
+
+			prepare(row, function (error)
+			{
+				if (error)
+					cb(error);
+				else
+					writeRow(row, cb);
+			});
+		},
+		final: function (cb)
 		{
-			if (hlog.failed)
-				callback(hlog);
+			if (convert)
+				cb();
 			else
-				callback(null, imp);
+				prepare(null, cb);
 		}
-	);
-};
+	});
+
+	job.on('cancel', function ()
+	{
+		// while the format is being prepared, prepareBulkInsert handles cancelling
+		if (convert)
+			sink.destroy(new AbortError());
+	});
+
+	debug('Importing ' + filename + ' into ' + table + '...');
+	Stream.pipeline(Fs.createReadStream(filename), reader, sink, function (error)
+	{
+		if (error)
+		{
+			discard(error);
+			return;
+		}
+
+		imp.execute(insertOptions, function (error, details)
+		{
+			job.finish();
+
+			if (error)
+			{
+				callback(error);
+				return;
+			}
+
+			details.invalidRows = imp.invalidRows;
+			callback(null, details);
+		});
+	});
+
+	return job;
+
+	function discard (error)
+	{
+		job.finish();
+
+		if (!imp)
+		{
+			callback(error);
+			return;
+		}
+
+		if (options.keepFiles)
+		{
+			imp.save(function ()
+			{
+				callback(error);
+			});
+			return;
+		}
+
+		imp.cancel(function ()
+		{
+			discardFiles([ imp.format.filename ], function ()
+			{
+				callback(error);
+			});
+		});
+	}
+
+	function prepare (firstRow, cb)
+	{
+		var fileColumns = csv ? reader.columns : firstRow ? Object.keys(firstRow) : null;
+		var columns = options.columns || fileColumns;
+		if (!columns)
+		{
+			cb(new Error(filename + ' has no rows to take the column names from. Set options.columns.'));
+			return;
+		}
+
+		// find the property of each row which holds each column, matching them the same way as prepareBulkInsert
+		var keys = [];
+		var lowerFileColumns = (fileColumns || []).map(function (c) { return c.toLowerCase(); });
+		var dex;
+		for (var i = 0; i < columns.length; i++)
+		{
+			dex = lowerFileColumns.indexOf(columns[i].toLowerCase());
+			if (dex === -1 && csv)
+			{
+				cb(new Error(filename + ' does not contain column ' + columns[i]));
+				return;
+			}
+
+			// NDJSON rows don't all need the same properties, so a column which isn't in the first row may be in others
+			keys.push(dex === -1 ? columns[i] : fileColumns[dex]);
+		}
+
+		_this.prepareBulkInsert(table, columns, insertOptions, function (error, file)
+		{
+			if (error)
+			{
+				cb(error);
+				return;
+			}
+
+			imp = file;
+			// a write error destroys imp, which deletes its files unless keepFiles is set
+			imp.executeOptions = insertOptions;
+			// write errors are passed to the write callbacks, and from there to the pipeline
+			imp.on('error', function () {});
+			convert = textRowConverter(_this, columns, keys, imp.format);
+			cb();
+		});
+	}
+
+	function writeRow (row, cb)
+	{
+		var converted;
+		try
+		{
+			converted = convert(row);
+		}
+		catch (ex)
+		{
+			cb(ex);
+			return;
+		}
+
+		imp.write(converted, cb);
+	}
+};
+
+/**
+ * Removes cached formats (see formatCache) so they are generated by bcp again on next use, both from memory and, if
+ * persisted, from disk. Call this after altering a table. If no callback is provided, a Promise is returned.
+ * @param [table] {string} The table to invalidate. If omitted, every cached format is removed.
+ * @param [callback] {function(Error)}
+ */
+Bcp.prototype.invalidateFormatCache = function (table, callback)
+{
+	if (typeof table === 'function')
+	{
+		callback = table;
+		table = null;
+	}
+
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.invalidateFormatCache, [ table ]);
+
+	var prefix = table ? formatCacheTablePrefix(this, getQualifiedTable(this, table)) : null;
+
+	for (var key in this._formats)
+	{
+		if (!prefix || formatCacheTablePrefix(this, this._formats[key].table) === prefix)
+			delete this._formats[key];
+	}
+
+	var dir = formatCacheDirectory(this);
+	Fs.readdir(dir, function (error, files)
+	{
+		if (error)
+		{
+			// nothing has been persisted
+			callback(error.code === 'ENOENT' ? null : error);
+			return;
+		}
+
+		files = files.filter(function (f) { return !prefix || f.indexOf(prefix + '_') === 0; });
+		removeFiles(files.map(function (f) { return Path.join(dir, f); }), function (error)
+		{
+			callback(error || null);
+		});
+	});
+};
+
+/**
+ * Generates a format file for the table and creates an ImportFile which rows can be written to. Pass options.format
+ * (e.g. from FormatFile.fromColumns) to use a prebuilt format instead of asking bcp to generate one. If no callback is
+ * provided, a Promise is returned which resolves with the ImportFile. Set options.autoTerminators to replace the
+ * terminators with randomly generated ones which won't collide with the data. Set options.strict to validate rows as
+ * they are written (see ImportFile#strict).
+ *
+ * Set options.chunkRows and/or options.chunkMegabytes to split the data across several files, each inserted by its
+ * own bcp process (see ChunkedImportFile). Chunks are inserted one at a time, or options.concurrency at a time if
+ * tabLock is set. options.onProgress is called with the "format" phase, and options.signal cancels generating the
+ * format, as for bulkInsert.
+ *
+ * columns lists the table columns to import, each read from the row property of the same name. To read them from other
+ * properties, pass an object which maps each column to a property name, or to a function(row) which returns the
+ * value, e.g. { Created_Utc: 'createdAt', Full_Name: function (row) { return row.first + ' ' + row.last; } }. Set
+ * options.defaults to an object of constant values, by column, which are imported when a row's value is undefined.
+ * Columns which only have a default are imported as well, so they are filled with the constant.
+ * @param table {string}
+ * @param columns {string[]|object}
+ * @param [options]
+ * @param [callback] {function(Error, (ImportFile|ChunkedImportFile))}
+ * @return {Job|Promise}
+ */
+Bcp.prototype.prepareBulkInsert = function (table, columns, options, callback)
+{
+	if (typeof options === 'function')
+	{
+		callback = options;
+		options = null;
+	}
+
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.prepareBulkInsert, [ table, columns, options ]);
+
+	var base = tempFile(this);
+	var defaultOptions = {
+		formatFile: base + '_format',
+		importFile: base + '_import.dat',
+		format: null,
+		autoTerminators: false,
+		strict: false,
+		chunkRows: 0,
+		chunkMegabytes: 0,
+		concurrency: 1,
+		defaults: null,
+		onProgress: null,
+		signal: null
+	};
+
+	options = mergeOptions(defaultOptions, options);
+
+	var _this = this;
+	var common = getCommonArgs(this);
+	var fullTable = getQualifiedTable(this, table);
+	var job = new Job(options.signal);
+	/** @type {FormatFile} */
+	var format, imp;
+
+	Flow.waterfall(
+		[
+			function (cb)
+			{
+				// concurrent bulk inserts into the same table are only safe with a bulk update table lock
+				if (options.concurrency > 1 && !_this.tabLock)
+				{
+					cb(new Error('Importing chunks concurrently requires the tabLock option.'));
+					return;
+				}
+
+				ensureDirectories(options.formatFile, options.importFile, cb);
+			},
+			function (cb)
+			{
+				progressReporter(_this, options.onProgress, 'in', fullTable, options.importFile)('format');
+				resolveFormat(_this, fullTable, options.formatFile, options.format, common, job, cb);
+			},
+			function (cb, f)
+			{
+				format = f;
+				// check to make sure the format contains all of the columns
+				var reorderedFields = [];
+				var origFieldNames = format.fields.map(function (f) { return f.name.toLowerCase(); });
+				var mapping = Array.isArray(columns) ? null : columns;
+				var names = mapping ? Object.keys(mapping) : columns.slice();
+				var defaults = options.defaults || {};
+				var defaultNames = Object.keys(defaults);
+				var lowerNames = names.map(function (c) { return c.toLowerCase(); });
+				var lowerDefaultNames = defaultNames.map(function (c) { return c.toLowerCase(); });
+				var dex, source, field;
+
+				// columns which only have a default are imported too
+				for (var d = 0; d < defaultNames.length; d++)
+				{
+					if (lowerNames.indexOf(lowerDefaultNames[d]) === -1)
+						names.push(defaultNames[d]);
+				}
+
+				for (var i = 0; i < names.length; i++)
+				{
+					dex = origFieldNames.indexOf(names[i].toLowerCase());
+					if (dex === -1)
+					{
+						cb(new Error(fullTable + ' does not contain column ' + names[i]));
+						return;
+					}
+
+					source = mapping && names[i] in mapping ? mapping[names[i]] : null;
+					if (source !== null && typeof source !== 'string' && typeof source !== 'function')
+					{
+						cb(new Error('Column ' + names[i] + ' must be mapped to a property name or a function.'));
+						return;
+					}
+
+					field = format.fields[dex];
+					field.name = names[i];
+					field.inImport = true;
+					field.source = source;
+
+					dex = lowerDefaultNames.indexOf(names[i].toLowerCase());
+					field.defaultValue = dex === -1 ? undefined : defaults[defaultNames[dex]];
+				}
+
+				if (!options.autoTerminators || format.native)
+				{
+					cb();
+					return;
+				}
+
+				pickTerminators(format);
+				format.save(cb);
+			},
+			function (cb)
+			{
+//				debug(require('util').inspect(format, {depth:Infinity}));
+				debug('Creating Import File...');
+				if (options.chunkRows || options.chunkMegabytes)
+				{
+					imp = new ChunkedImportFile(_this, format, table, options.importFile, format.encoding, {
+						rows: Number(options.chunkRows) || 0,
+						bytes: Math.round((Number(options.chunkMegabytes) || 0) * 1024 * 1024),
+						concurrency: Number(options.concurrency) || 1
+					});
+				}
+				else
+				{
+					imp = new ImportFile(_this, format, table, options.importFile, format.encoding);
+				}
+
+				imp.strict = options.strict;
+				cb();
+			}
+		],
+		function (error)
+		{
+			job.finish();
+
+			if (!error)
+			{
+				callback(null, imp);
+				return;
+			}
+
+			if (!(error instanceof AbortError))
+			{
+				callback(error);
+				return;
+			}
+
+			discardFiles([ format ? format.filename : formatFilename(options.formatFile) ], function ()
+			{
+				callback(error);
+			});
+		}
+	);
+
+	return job;
+};
+
+/**
+ * Registers a codec for a bcp type which is only used by this instance. It takes precedence over a codec registered
+ * with Bcp.registerType. Pass null as the codec to remove it.
+ * @param sqlType {string}
+ * @param codec {?{ serialize: function(*, Field):*, deserialize: function(*, Field):* }}
+ */
+Bcp.prototype.registerType = function (sqlType, codec)
+{
+	Types.register(this.types, sqlType, codec);
+};
 
 //Bcp.prototype.queryOut = function (query, callback)
 //{
@@ -738,6 +1578,32 @@ Bcp.prototype.prepareBulkInsert = function (table, columns, options, callback)
  * Private Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Deletes the temp files of a cancelled operation. Files which don't exist yet, or can't be deleted, are ignored.
+ * @param files {string[]}
+ * @param callback {function()}
+ */
+function discardFiles (files, callback)
+{
+	Flow.map(
+		files,
+		function (cb, file)
+		{
+			Fs.unlink(file, function (error)
+			{
+				if (error && error.code !== 'ENOENT')
+					debug(error);
+
+				cb();
+			});
+		},
+		function ()
+		{
+			callback();
+		}
+	);
+}
+
 function ensureDirectories ()
 {
 	var dirs = [];
@@ -751,282 +1617,1255 @@ function ensureDirectories ()
 			dirs.push(d);
 	}
 
-	Athena.map(
-		dirs,
-		function (cb, d) { mkdirp(d, cb); },
-		callback
-	);
+	Flow.map(
+		dirs,
+		function (cb, d) { mkdirp(d, cb); },
+		callback
+	);
+}
+
+/**
+ * Escapes a terminator using the escape sequences bcp understands (\t, \n, \r, \0 and \\).
+ * @param term {string}
+ * @return {string}
+ */
+function escapeTerminator (term)
+{
+	return String(term).replace(/[\\\t\n\r\0]/g, function (c)
+	{
+		switch (c)
+		{
+			case '\\': return '\\\\';
+			case '\t': return '\\t';
+			case '\n': return '\\n';
+			case '\r': return '\\r';
+			default: return '\\0';
+		}
+	});
+}
+
+/**
+ * Runs bcp with an argument array (no shell is involved, so arguments never need quoting). If bcp fails, the
+ * callback receives a BcpError. Transient failures are retried according to bcp.retry.
+ * @param bcp {Bcp}
+ * @param phase {string} "format", "in", "out" or "queryout"
+ * @param args {string[]}
+ * @param job {?Job} Reports the rows bcp has copied to job.progress, and is cancelled with an AbortError.
+ * @param callback {function(Error, string, string)}
+ */
+function execBcp (bcp, phase, args, job, callback)
+{
+	var attempt = 1;
+	run();
+
+	function run ()
+	{
+		getPassword(bcp, function (error, password)
+		{
+			if (error)
+			{
+				callback(error);
+				return;
+			}
+
+			if (job && job.cancelled)
+			{
+				callback(new AbortError(phase));
+				return;
+			}
+
+			var a = args;
+			if (password !== null && !bcp.passwordStdin)
+			{
+				a = args.concat(/^[\-\/]/.test(password) ? [ '-P' + password ] : [ '-P', password ]);
+				password = null;
+			}
+
+			spawnBcp(bcp, phase, a, password, job, function (error, stdout, stderr)
+			{
+				if (error instanceof BcpError)
+					error.attempts = attempt;
+
+				if (!error || !isRetryable(bcp, error) || attempt >= bcp.retry.attempts)
+				{
+					callback(error, stdout, stderr);
+					return;
+				}
+
+				var retry = bcp.retry;
+				var delay = retry.delay * Math.pow(retry.backoff, attempt - 1);
+				if (retry.maxDelay)
+					delay = Math.min(delay, retry.maxDelay);
+
+				attempt++;
+				debug('Retrying bcp ' + phase + ' in ' + delay + 'ms (attempt ' + attempt + ' of ' + retry.attempts +
+					'): ' + error.message);
+
+				bcp.emit('retry', {
+					phase: phase,
+					attempt: attempt,
+					attempts: retry.attempts,
+					delay: delay,
+					error: error
+				});
+
+				var timer = setTimeout(function ()
+				{
+					if (job)
+						job.kill = null;
+
+					run();
+				}, delay);
+
+				if (job)
+				{
+					job.kill = function ()
+					{
+						clearTimeout(timer);
+						job.kill = null;
+						callback(new AbortError(phase));
+					};
+				}
+			});
+		});
+	}
+}
+
+/**
+ * @param value {string}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {*}
+ */
+function fieldDeserialize (value, field, timezone)
+{
+	debug('deserialize value: "' + value + '"');
+	var cons = Bcp.typesMap[field.type];
+
+	if (value === '')
+		return null;
+
+	if (value === NUL)
+		return '';
+
+	switch (cons)
+	{
+		case Date:
+			return DateTime.parse(value, field.type, timezone);
+		case Number:
+			return Number(value);
+		case Boolean:
+			return value === '1';
+		case Buffer:
+			// bcp writes binary data as hex in character formats
+			return Buffer.from(value.replace(/^0x/i, ''), 'hex');
+		default:
+			if (typeof BigInt === 'function' && cons === BigInt)
+				return BigInt(value);
+
+			return value;
+	}
+}
+
+/**
+ * @param bcp {Bcp}
+ * @return {string} The directory where persisted formats are stored.
+ */
+function formatCacheDirectory (bcp)
+{
+	return Path.join(bcp.tmp, 'formats');
+}
+
+/**
+ * Provides a format from the cache (in memory first, then on disk if persisted), or generates it with bcp and caches
+ * it. The format handed back is always a copy saved to file, so callers are free to modify it.
+ * @param bcp {Bcp}
+ * @param table {string}
+ * @param file {string} The format filename, without an extension.
+ * @param args {string[]}
+ * @param job {?Job}
+ * @param callback {function(Error, FormatFile)}
+ */
+function formatCacheGet (bcp, table, file, args, job, callback)
+{
+	// the same options which affect the generated format are part of the key
+	var key = [ bcp.server, table ].concat(args).join('\0');
+	var ttl = bcp.formatCache.ttl;
+	var entry = bcp._formats[key];
+
+	if (entry && (!entry.expires || entry.expires > Date.now()))
+	{
+		debug('Using cached format for ' + table);
+		saveFormatCopy(entry.format, file, callback);
+		return;
+	}
+
+	// formats are only persisted where bcp writes XML format files (see Bcp#formatCache)
+	var hash = Crypto.createHash('sha1').update(key).digest('hex').substr(0, 16);
+	var cacheFile = Path.join(formatCacheDirectory(bcp), formatCacheTablePrefix(bcp, table) + '_' + hash + '.fmt.xml');
+
+	function store (format, created)
+	{
+		bcp._formats[key] = { table: table, format: format.clone(), expires: ttl ? created + ttl : 0 };
+	}
+
+	if (!bcp.formatCache.persist)
+	{
+		formatGenerate(bcp, table, file, args, job, function (error, format)
+		{
+			if (!error)
+				store(format, Date.now());
+
+			callback(error, format);
+		});
+		return;
+	}
+
+	Fs.stat(cacheFile, function (error, stats)
+	{
+		// a missing or expired file just means the format has to be generated again
+		if (!error && (!ttl || stats.mtime.getTime() + ttl > Date.now()))
+		{
+			FormatFile.fromFile(cacheFile, true, function (error, format)
+			{
+				if (error)
+				{
+					debug('Ignoring unreadable cached format ' + cacheFile + ': ' + error.message);
+					generate();
+					return;
+				}
+
+				debug('Using persisted format for ' + table);
+				store(format, stats.mtime.getTime());
+				saveFormatCopy(format, file, callback);
+			});
+			return;
+		}
+
+		generate();
+	});
+
+	function generate ()
+	{
+		formatGenerate(bcp, table, file, args, job, function (error, format)
+		{
+			if (error)
+			{
+				callback(error);
+				return;
+			}
+
+			store(format, Date.now());
+
+			// failing to persist only costs a bcp call after the next restart, so it isn't worth failing the operation
+			var copy = format.clone();
+			mkdirp(formatCacheDirectory(bcp), function (error)
+			{
+				if (error)
+				{
+					debug('Unable to persist format: ' + error.message);
+					callback(null, format);
+					return;
+				}
+
+				copy.save(cacheFile, function (error)
+				{
+					if (error)
+						debug('Unable to persist format: ' + error.message);
+
+					callback(null, format);
+				});
+			});
+		});
+	}
+}
+
+/**
+ * Persisted format filenames start with this prefix, so a table's formats can be found without knowing every option
+ * which was used to generate them.
+ * @param bcp {Bcp}
+ * @param table {string} The qualified table name.
+ * @return {string}
+ */
+function formatCacheTablePrefix (bcp, table)
+{
+	return Crypto.createHash('sha1').update(bcp.server + '\0' + table).digest('hex').substr(0, 16);
+}
+
+/**
+ * Builds a printable version of a command for logs and errors. The password is always redacted.
+ * @param exec {string}
+ * @param args {string[]}
+ * @return {string}
+ */
+function formatCommand (exec, args)
+{
+	var parts = [ exec ];
+	for (var i = 0; i < args.length; i++)
+	{
+		if (args[i - 1] === '-P')
+			parts.push('***');
+		else if (args[i].indexOf('-P') === 0 && args[i].length > 2)
+			parts.push('-P***');
+		else if (/^[\w\-.\/\\:\[\]=,]+$/.test(args[i]))
+			parts.push(args[i]);
+		else
+			parts.push(JSON.stringify(args[i]));
+	}
+
+	return parts.join(' ');
+}
+
+/**
+ * Builds the format of a query's results from the columns SQL Server describes for its first result set
+ * (sys.dm_exec_describe_first_result_set). The description is itself exported with bcp, so no other client is needed.
+ * @param bcp {Bcp}
+ * @param sql {string}
+ * @param file {string} The format filename, without an extension.
+ * @param job {?Job}
+ * @param callback {function(Error, FormatFile)}
+ */
+function formatDescribe (bcp, sql, file, job, callback)
+{
+	var describeFile = tempFile(bcp) + '_describe.dat';
+	var query = 'SELECT name, system_type_name, is_nullable, collation_name, error_number, error_message ' +
+		'FROM sys.dm_exec_describe_first_result_set(N\'' + sql.replace(/'/g, '\'\'') + '\', NULL, 0) ' +
+		'ORDER BY column_ordinal';
+	var args = [ query, 'queryout', describeFile, '-w', '-t', DESCRIBE_FIELD_TERMINATOR, '-r', DESCRIBE_ROW_TERMINATOR ]
+		.concat(getConnectionArgs(bcp));
+
+	debug('Describing the results of the query...');
+	Flow.waterfall(
+		[
+			function (cb)
+			{
+				execBcp(bcp, 'format', args, job, cb);
+			},
+			function (cb)
+			{
+				Fs.readFile(describeFile, cb);
+			},
+			function (cb, buffer)
+			{
+				var format;
+				try
+				{
+					format = formatFromColumns(bcp, parseDescription(buffer.toString('ucs2')));
+				}
+				catch (ex)
+				{
+					cb(ex);
+					return;
+				}
+
+				saveFormatCopy(format, file, cb);
+			}
+		],
+		function (error, format)
+		{
+			discardFiles([ describeFile ], function ()
+			{
+				callback(error, format);
+			});
+		}
+	);
+}
+
+/**
+ * @param file {string} The format filename, without an extension.
+ * @return {string} The filename bcp generates the format as on this platform.
+ */
+function formatFilename (file)
+{
+	// bcp for linux doesn't support -x
+	return file + (Os.platform() !== 'linux' ? '.fmt.xml' : '.fmt');
+}
+
+/**
+ * Builds a format which matches the instance's data file options (see FormatFile.fromColumns).
+ * @param bcp {Bcp}
+ * @param columns {Array<(string|object)>} Column definitions, or the names of columns which are read as strings.
+ * @return {FormatFile}
+ */
+function formatFromColumns (bcp, columns)
+{
+	columns = columns.map(function (c)
+	{
+		return typeof c === 'string' ? { name: c, type: 'nvarchar', length: 'max' } : c;
+	});
+
+	return FormatFile.fromColumns(columns, {
+		unicode: bcp.unicode,
+		native: bcp.native,
+		fieldTerminator: bcp.fieldTerminator,
+		rowTerminator: bcp.rowTerminator
+	});
+}
+
+/**
+ * Generate format file using bcp, and load into a FormatFile object.
+ * @param bcp {Bcp}
+ * @param table {string}
+ * @param file {string}
+ * @param args {string[]}
+ * @param job {?Job}
+ * @param callback
+ */
+function formatGenerate (bcp, table, file, args, job, callback)
+{
+	// bcp for linux doesn't support -x
+	var useXml = Os.platform() !== 'linux';
+
+	file = formatFilename(file);
+
+	args = [ table, 'format', 'nul' ].concat(useXml ? [ '-x' ] : [], [ '-f', file ], args);
+
+	debug('Getting format file from bcp...');
+
+	execBcp(bcp, 'format', args, job, function (error)
+	{
+		if (error)
+		{
+			callback(error);
+			return;
+		}
+
+		// read xml format file
+		debug('Reading format file ' + file);
+		FormatFile.fromFile(file, useXml, callback);
+	});
+}
+
+/**
+ * @param bcp {Bcp}
+ * @param omitFormat {boolean}
+ * @param [errorFile] {string} Overrides bcp.errorFile.
+ * @return {string[]}
+ */
+function getCommonArgs (bcp, omitFormat, errorFile)
+{
+	var args = [];
+
+	if (errorFile === undefined)
+		errorFile = bcp.errorFile;
+
+	if (bcp.packetSize)
+	{
+		args.push('-a');
+		args.push(String(Number(bcp.packetSize)));
+	}
+
+	if (bcp.batchSize)
+	{
+		args.push('-b');
+		args.push(String(Number(bcp.batchSize)));
+	}
+
+	if (!omitFormat)
+	{
+		if (bcp.native) {
+			args.push('-n');
+		} else {
+		if (bcp.unicode)
+			args.push('-w');
+		else
+			args.push('-c');
+	}
+	}
+
+	if (bcp.codePage && !omitFormat)
+	{
+		args.push('-C');
+		args.push(String(bcp.codePage));
+	}
+
+	if (errorFile)
+	{
+		args.push('-e');
+		args.push(String(errorFile));
+	}
+
+	if (bcp.useIdentity)
+		args.push('-E');
+
+	if (bcp.firstRow)
+	{
+		args.push('-F');
+		args.push(String(Number(bcp.firstRow)));
+	}
+
+	if (bcp.inputFile)
+	{
+		args.push('-i');
+		args.push(String(bcp.inputFile));
+	}
+
+	if (bcp.readOnly)
+	{
+		args.push('-K');
+		args.push('ReadOnly');
+	}
+
+	if (bcp.keepNulls)
+		args.push('-k');
+
+	if (bcp.lastRow)
+	{
+		args.push('-L');
+		args.push(String(Number(bcp.lastRow)));
+	}
+
+	if (bcp.maxErrors)
+	{
+		args.push('-m');
+		args.push(String(Number(bcp.maxErrors)));
+	}
+
+	if (bcp.quotedIdentifiers)
+		args.push('-q');
+
+	if (bcp.regional)
+		args.push('-R');
+
+	if (bcp.rowTerminator && !omitFormat)
+	{
+		switch (bcp.rowTerminator[0])
+		{
+			case '-':
+			case '/':
+				args.push('-r' + escapeTerminator(bcp.rowTerminator));
+				break;
+			default:
+				args.push('-r');
+				args.push(escapeTerminator(bcp.rowTerminator));
+		}
+	}
+
+	if (bcp.server)
+	{
+		args.push('-S');
+		args.push(String(bcp.server));
+	}
+
+	if (bcp.fieldTerminator && !omitFormat)
+	{
+		switch (bcp.fieldTerminator[0])
+		{
+			case '-':
+			case '/':
+				args.push('-t' + escapeTerminator(bcp.fieldTerminator));
+				break;
+			default:
+				args.push('-t');
+				args.push(escapeTerminator(bcp.fieldTerminator));
+		}
+	}
+
+	if (bcp.trusted)
+	{
+		args.push('-T');
+	}
+	else
+	{
+		if (bcp.user)
+		{
+			args.push('-U');
+			args.push(String(bcp.user));
+		}
+
+		// the password is supplied by execBcp, either with -P or over stdin (see passwordStdin)
+	}
+
+	var hints = [];
+
+	if (bcp.order)
+		hints.push('ORDER(' + bcp.order + ')');
+
+	if (bcp.rowsPerBatch)
+		hints.push('ROWS_PER_BATCH=' + Number(bcp.rowsPerBatch));
+
+	if (bcp.kbPerBatch)
+		hints.push('KILOBYTES_PER_BATCH=' + Number(bcp.kbPerBatch));
+
+	if (bcp.tabLock)
+		hints.push('TABLOCK');
+
+	if (bcp.checkConstraints)
+		hints.push('CHECK_CONSTRAINTS');
+
+	if (bcp.fireTriggers)
+		hints.push('FIRE_TRIGGERS');
+
+	if (hints.length > 0 && Os.platform() !== 'linux') // bcp for linux doesn't support -h
+	{
+		args.push('-h');
+		args.push(hints.join(','));
+	}
+
+	return args;
+}
+
+/**
+ * The arguments bcp needs to connect and run a query, without any which affect the data file (see getCommonArgs).
+ * @param bcp {Bcp}
+ * @return {string[]}
+ */
+function getConnectionArgs (bcp)
+{
+	var args = [];
+
+	if (bcp.readOnly)
+	{
+		args.push('-K');
+		args.push('ReadOnly');
+	}
+
+	if (bcp.quotedIdentifiers)
+		args.push('-q');
+
+	if (bcp.server)
+	{
+		args.push('-S');
+		args.push(String(bcp.server));
+	}
+
+	if (bcp.trusted)
+	{
+		args.push('-T');
+	}
+	else if (bcp.user)
+	{
+		args.push('-U');
+		args.push(String(bcp.user));
+	}
+
+	return args;
+}
+
+/**
+ * Resolves the password which should be given to bcp, or null if bcp should not be given one (e.g. trusted connections).
+ * @param bcp {Bcp}
+ * @param callback {function(Error, ?string)}
+ */
+function getPassword (bcp, callback)
+{
+	if (bcp.trusted || !bcp.user)
+	{
+		setImmediate(callback, null, null);
+		return;
+	}
+
+	var password = bcp.password;
+	if (typeof password === 'function')
+	{
+		var called = false;
+		var done = function (error, password)
+		{
+			if (called)
+				return;
+
+			called = true;
+			if (error)
+				callback(error);
+			else
+				callback(null, password === undefined || password === null ? null : String(password));
+		};
+
+		var result;
+		try
+		{
+			result = password(done);
+		}
+		catch (error)
+		{
+			done(error);
+			return;
+		}
+
+		if (result && typeof result.then === 'function')
+			result.then(function (password) { done(null, password); }, done);
+
+		return;
+	}
+
+	if ((password === undefined || password === null) && bcp.passwordEnv)
+		password = process.env[bcp.passwordEnv];
+
+	setImmediate(callback, null, password === undefined || password === null ? null : String(password));
+}
+
+/**
+ *
+ * @param bcp {Bcp}
+ * @param table {string}
+ * @return {string}
+ */
+function getQualifiedTable (bcp, table)
+{
+	var arg = '[' + table + ']';
+	if (bcp.schema)
+		arg = '[' + bcp.schema + '].' + arg;
+
+	if (bcp.database)
+		arg = '[' + bcp.database + '].' + arg;
+
+	return arg;
+}
+
+/**
+ * @param bcp {Bcp}
+ * @param error {Error}
+ * @return {boolean} True if the error is a transient failure which bcp.retry allows to be retried.
+ */
+function isRetryable (bcp, error)
+{
+	if (!bcp.retry || !(error instanceof BcpError))
+		return false;
+
+	return error.errors.some(function (e)
+	{
+		return !e.warning && (bcp.retry.sqlStates.indexOf(e.sqlState.toUpperCase()) !== -1 ||
+			bcp.retry.errors.indexOf(e.nativeError) !== -1);
+	});
+}
+
+/**
+ * Kills every bcp process which was started in its own process group. Called when this process exits.
+ */
+function killGroupProcesses ()
+{
+	groupProcesses.forEach(function (child) { killProcess(child, 'SIGTERM', true); });
+}
+
+/**
+ * Kills a bcp process. On Windows, and when it leads its own process group, any processes it started (e.g. when bcp is
+ * a wrapper script) are killed too.
+ * @param child {ChildProcess}
+ * @param signal {string}
+ * @param group {boolean} Whether the process was started in its own process group (see Bcp#processGroup).
+ */
+function killProcess (child, signal, group)
+{
+	if (Os.platform() === 'win32')
+	{
+		// /T kills the whole tree, since there are no process groups to signal
+		ChildProcess.spawn('taskkill', [ '/pid', String(child.pid), '/T', '/F' ], { windowsHide: true })
+			.on('error', function (error) { debug(error); });
+		return;
+	}
+
+	if (!group)
+	{
+		child.kill(signal);
+		return;
+	}
+
+	try
+	{
+		// a negative pid signals the whole process group, which bcp leads (see spawnBcp)
+		process.kill(-child.pid, signal);
+	}
+	catch (ex)
+	{
+		child.kill(signal);
+	}
+}
+
+function mergeOptions (defaults, overrides)
+{
+	if (!overrides)
+		return defaults;
+
+	for (var i in defaults)
+	{
+		if (i in overrides)
+			defaults[i] = overrides[i];
+	}
+
+	return defaults;
+}
+
+/**
+ * Kills the bcp processes in their own process groups when this process receives SIGINT or SIGTERM, then raises the
+ * signal again so that it still exits, unless the application handles the signal itself.
+ * @param signal {string}
+ */
+function onGroupProcessSignal (signal)
+{
+	var children = groupProcesses.slice();
+	children.forEach(untrackGroupProcess);
+	children.forEach(function (child) { killProcess(child, 'SIGTERM', true); });
+
+	if (process.listenerCount(signal) === 0)
+		process.kill(process.pid, signal);
+}
+
+/**
+ * Calls callback once when the stream has either ended or been destroyed.
+ * @param stream {Stream}
+ * @param callback {function}
+ */
+function onStreamClosed (stream, callback)
+{
+	var called = false;
+	function done ()
+	{
+		if (called)
+			return;
+
+		called = true;
+		callback();
+	}
+
+	stream.on('end', done);
+	stream.on('close', done);
+	stream.on('error', done);
+}
+
+/**
+ * Parses the columns exported by formatDescribe into column definitions for FormatFile.fromColumns.
+ * @param text {string}
+ * @return {object[]}
+ */
+function parseDescription (text)
+{
+	if (text.charCodeAt(0) === 0xfeff)
+		text = text.substr(1);
+
+	var rows = text.split(DESCRIBE_ROW_TERMINATOR).filter(function (r) { return r.trim(); });
+	var columns = [];
+	var values, match, column;
+
+	for (var i = 0; i < rows.length; i++)
+	{
+		// name, system_type_name, is_nullable, collation_name, error_number, error_message
+		values = rows[i].replace(/^\r?\n/, '').split(DESCRIBE_FIELD_TERMINATOR);
+		if (values[4])
+		{
+			throw new Error('SQL Server could not describe the results of options.sql: ' + values[5] +
+				' Pass options.columns or options.format instead.');
+		}
+
+		if (!values[0])
+			throw new Error('Column ' + (i + 1) + ' of options.sql has no name. Give it an alias.');
+
+		// e.g. "int", "nvarchar(50)", "varbinary(max)", "decimal(18,2)", "datetime2(3)" or "dbo.MyClrType"
+		match = /^([^(]+?)(?:\((\w+)(?:,(\d+))?\))?$/.exec(values[1].replace(/\s/g, ''));
+		if (!match)
+			throw new Error('Column ' + values[0] + ' of options.sql has an unknown type "' + values[1] + '".');
+
+		column = { name: values[0], type: match[1], nullable: values[2] === '1' };
+		if (values[3])
+			column.collation = values[3];
+
+		// schema-qualified types are user-defined CLR types, which are copied as their binary serialization
+		switch (match[1].indexOf('.') === -1 ? match[1].toLowerCase() : 'clr')
+		{
+			case 'clr':
+				column.type = 'varbinary';
+				column.length = 'max';
+				break;
+			case 'decimal':
+			case 'numeric':
+				column.precision = Number(match[2]);
+				column.scale = Number(match[3] || 0);
+				break;
+			case 'time':
+			case 'datetime2':
+			case 'datetimeoffset':
+				if (match[2])
+					column.scale = Number(match[2]);
+				break;
+			default:
+				if (match[2])
+					column.length = match[2].toLowerCase() === 'max' ? 'max' : Number(match[2]);
+		}
+
+		columns.push(column);
+	}
+
+	if (columns.length === 0)
+		throw new Error('options.sql does not return any columns.');
+
+	return columns;
 }
 
 /**
+ * Parses the statistics bcp prints after a successful copy into details.
  *
- * @param value {string}
- * @param field {Field}
+ *     3 rows copied.
+ *     Network packet size (bytes): 4096
+ *     Clock Time (ms.) Total     : 1      Average : (3000.00 rows per sec.)
+ *
+ * @param stdout {string}
+ * @param details {object}
  */
-function fieldDeserialize (value, field)
+function parseStats (stdout, details)
 {
-	debug('deserialize value: "' + value + '"');
-	var cons = Bcp.typesMap[field.type];
+	var match = /(\d+) rows copied\./.exec(stdout);
+	if (match)
+		details.rowCount = Number(match[1]);
 
-	if (value === '')
-		return null;
+	match = /Network packet size \(bytes\)\s*:\s*(\d+)/.exec(stdout);
+	if (match)
+		details.packetSize = Number(match[1]);
 
-	if (value === NUL)
-		return '';
+	match = /Clock Time \(ms\.\)\s*Total\s*:\s*(\d+)/.exec(stdout);
+	if (match)
+		details.clockTime = Number(match[1]);
 
-	switch (cons)
-	{
-		case Date:
-			return new Date(value);
-		case Number:
-			return Number(value);
-		case Boolean:
-			return value === '1';
-		default:
-			return value;
-	}
+	match = /Average\s*:\s*\(([\d.]+) rows per sec/.exec(stdout);
+	if (match)
+		details.rowsPerSecond = Number(match[1]);
 }
 
 /**
- * Generate format file using bcp, and load into a FormatFile object.
+ * Replaces the format's terminators with ones which won't realistically be found in any data: a random token between
+ * "~" and "|", with the row terminator ending in a newline so the data file is still readable. No end of the token is
+ * also a start of it, so a value can't run into the terminator after it (which a token between tildes allows, e.g.
+ * "x~ab" followed by "~ab~"). ImportFile.writeRows still checks every value, so a collision can never go unnoticed.
+ * @param format {FormatFile}
+ */
+function pickTerminators (format)
+{
+	var token = '~' + Crypto.randomBytes(6).toString('hex') + '|';
+	var last = format.fields.length - 1;
+	for (var i = 0; i <= last; i++)
+		format.fields[i].terminator = i === last ? token + '\n' : token;
+}
+
+/**
+ * Creates a function (phase, [rows]) which reports the progress of a bulk operation to onProgress and the "progress"
+ * event (see Bcp#bulkInsert).
  * @param bcp {Bcp}
- * @param table {string}
+ * @param onProgress {?function(object)}
+ * @param operation {string} "in", "out" or "queryout"
+ * @param table {?string}
  * @param file {string}
- * @param args {string[]}
- * @param callback
+ * @return {function(string, number=)}
  */
-function formatGenerate (bcp, table, file, args, callback)
+function progressReporter (bcp, onProgress, operation, table, file)
 {
-	// bcp for linux doesn't support -x
-	var useXml = Os.platform() !== 'linux';
-
-	file = file + (useXml ? '.fmt.xml' : '.fmt');
-
-	var cmd = bcp.exec + ' ' + table + ' format nul' + (useXml ? ' -x ' : '')  + ' -f ' +  JSON.stringify(file) + ' ' + args.join(' ');
-
-	debug('Getting format file from bcp...');
-	debug(cmd);
-
-	ChildProcess.exec(cmd, { timeout: bcp.timeout, killSignal: bcp.killSignal }, function (error)
+	return function (phase, rows)
 	{
-		if (error)
-		{
-			callback(error);
-			return;
-		}
+		var info = {
+			operation: operation,
+			table: table,
+			file: file,
+			phase: phase,
+			rows: typeof rows === 'number' ? rows : null
+		};
+
+		if (onProgress)
+			onProgress(info);
+
+		bcp.emit('progress', info);
+	};
+}
 
-		// read xml format file
-		debug('Reading format file ' + file);
-		FormatFile.fromFile(file, useXml, callback);
-	});
+/**
+ * Deletes temp files in parallel.
+ * @param files {string[]}
+ * @param callback
+ */
+function removeFiles (files, callback)
+{
+	Flow.map(
+		files,
+		function (cb, file) { Fs.unlink(file, cb); },
+		callback
+	);
 }
 
 /**
+ * Provides the format file for a bulk operation. If a prebuilt format was supplied, a copy of it is saved to file (so
+ * bcp can read it, and so the caller's object is never modified). Otherwise the format is taken from the cache, if
+ * enabled, or generated by bcp. Native formats with a column type which Native doesn't support are rejected, so the
+ * operation fails before any data is copied.
  * @param bcp {Bcp}
- * @param omitFormat {boolean}
- * @return {string[]}
+ * @param table {string}
+ * @param file {string} The format filename, without an extension.
+ * @param format {?FormatFile}
+ * @param args {string[]}
+ * @param job {?Job}
+ * @param callback {function(Error, FormatFile)}
  */
-function getCommonArgs (bcp, omitFormat)
+function resolveFormat (bcp, table, file, format, args, job, callback)
 {
-	var args = [];
-
-	if (bcp.packetSize)
-	{
-		args.push('-a');
-		args.push(Number(bcp.packetSize));
-	}
-
-	if (bcp.batchSize)
-	{
-		args.push('-b');
-		args.push(Number(bcp.batchSize));
-	}
-
-	if (!omitFormat)
-	{
-		if (bcp.native) {
-			args.push('-n');
-		} else {
-		if (bcp.unicode)
-			args.push('-w');
-		else
-			args.push('-c');
-	}
-	}
-
-	if (bcp.codePage && !omitFormat)
+	var done = function (error, format)
 	{
-		args.push('-C');
-		args.push(JSON.stringify(String(bcp.codePage)));
-	}
+		if (!error && format.native)
+			error = Native.checkFields(format.fields);
 
-	if (bcp.errorFile)
-	{
-		args.push('-e');
-		args.push(JSON.stringify(String(bcp.errorFile)));
-	}
+		callback(error, format);
+	};
 
-	if (bcp.useIdentity)
-		args.push('-E');
+	if (format)
+		saveFormatCopy(format, file, done);
+	else if (bcp.formatCache)
+		formatCacheGet(bcp, table, file, args, job, done);
+	else
+		formatGenerate(bcp, table, file, args, job, done);
+}
 
-	if (bcp.firstRow)
-	{
-		args.push('-F');
-		args.push(Number(bcp.firstRow));
-	}
+/**
+ * Saves a copy of the format to file, in the format file type bcp supports on this platform.
+ * @param format {FormatFile}
+ * @param file {string} The format filename, without an extension.
+ * @param callback {function(Error, FormatFile)} Called with the copy.
+ */
+function saveFormatCopy (format, file, callback)
+{
+	// match formatGenerate, since bcp for linux doesn't support xml format files
+	var useXml = Os.platform() !== 'linux';
 
-	if (bcp.inputFile)
+	format = format.clone();
+	format.isXml = useXml;
+	format.save(file + (useXml ? '.fmt.xml' : '.fmt'), function (error)
 	{
-		args.push('-i');
-		args.push(JSON.stringify(String(bcp.inputFile)));
-	}
+		callback(error, format);
+	});
+}
 
-	if (bcp.readOnly)
+/**
+ * Spawns the bcp process. If password is not null, it is written to bcp's stdin in response to the password prompt.
+ * @param bcp {Bcp}
+ * @param phase {string}
+ * @param args {string[]}
+ * @param password {?string}
+ * @param job {?Job} See execBcp.
+ * @param callback {function(Error, string, string)}
+ */
+function spawnBcp (bcp, phase, args, password, job, callback)
+{
+	var command = formatCommand(bcp.exec, args);
+	debug(command);
+
+	var stdout = [];
+	var stderr = [];
+	var called = false;
+	var timer = null;
+	var detached = bcp.processGroup && Os.platform() !== 'win32';
+	var child = ChildProcess.spawn(bcp.exec, args, { windowsHide: true, detached: detached });
+	if (detached)
+		trackGroupProcess(child);
+
+	if (job)
 	{
-		args.push('-K');
-		args.push('ReadOnly');
+		job.kill = function ()
+		{
+			debug('Cancelling bcp ' + phase);
+			killProcess(child, bcp.killSignal, detached);
+		};
 	}
 
-	if (bcp.keepNulls)
-		args.push('-k');
-
-	if (bcp.lastRow)
-	{
-		args.push('-L');
-		args.push(Number(bcp.lastRow));
-	}
+	// answer bcp's password prompt. Ending stdin also ensures bcp can never wait forever at the prompt.
+	child.stdin.on('error', function (error) { debug(error); });
+	if (password !== null)
+		child.stdin.end(password + Os.EOL);
+	else
+		child.stdin.end();
 
-	if (bcp.maxErrors)
+	// bcp reports its progress every 1000 rows, so watch the output for row counts as it arrives
+	var partialLine = '';
+	child.stdout.on('data', function (chunk)
 	{
-		args.push('-m');
-		args.push(Number(bcp.maxErrors));
-	}
+		stdout.push(chunk);
+		if (!job || !job.progress || phase === 'format')
+			return;
 
-	if (bcp.regional)
-		args.push('-R');
+		var lines = (partialLine + chunk.toString()).split('\n');
+		partialLine = lines.pop();
 
-	if (bcp.rowTerminator && !omitFormat)
-	{
-		switch (bcp.rowTerminator[0])
+		var match;
+		for (var i = 0; i < lines.length; i++)
 		{
-			case '-':
-			case '/':
-				args.push('-r' + bcp.rowTerminator);
-				break;
-			default:
-				args.push('-r');
-				args.push(JSON.stringify(String(bcp.rowTerminator)));
+			match = /Total (?:sent|received)\s*:\s*(\d+)/i.exec(lines[i]) || /^\s*(\d+) rows copied\./.exec(lines[i]);
+			if (match)
+				job.progress('copy', Number(match[1]));
 		}
-	}
-
-	if (bcp.server)
-	{
-		args.push('-S');
-		args.push(JSON.stringify(String(bcp.server)));
-	}
+	});
+	child.stderr.on('data', function (chunk) { stderr.push(chunk); });
 
-	if (bcp.fieldTerminator && !omitFormat)
+	if (bcp.timeout)
 	{
-		switch (bcp.fieldTerminator[0])
+		timer = setTimeout(function ()
 		{
-			case '-':
-			case '/':
-				args.push('-t' + bcp.fieldTerminator);
-				break;
-			default:
-				args.push('-t');
-				args.push(JSON.stringify(String(bcp.fieldTerminator)));
-		}
+			debug('bcp timed out after ' + bcp.timeout + 'ms');
+			killProcess(child, bcp.killSignal, detached);
+		}, bcp.timeout);
 	}
 
-	if (bcp.trusted)
+	child.on('error', function (error)
 	{
-		args.push('-T');
-	}
-	else
+		done(error);
+	});
+
+	child.on('close', function (code, signal)
 	{
-		if (bcp.user)
+		var out = Buffer.concat(stdout).toString();
+		var err = Buffer.concat(stderr).toString();
+
+		if (code === 0)
 		{
-			args.push('-U');
-			args.push(JSON.stringify(String(bcp.user)));
+			done(null, out, err);
+			return;
 		}
 
-		if (bcp.password)
+		if (job && job.cancelled)
 		{
-			args.push('-P');
-			args.push(JSON.stringify(String(bcp.password)));
+			done(new AbortError(phase));
+			return;
 		}
-	}
 
-	var hints = [];
+		done(new BcpError(phase, {
+			command: command,
+			exitCode: code,
+			signal: signal,
+			stdout: out,
+			stderr: err
+		}));
+	});
 
-	if (bcp.order)
-		hints.push('ORDER(' + bcp.order + ')');
+	function done (error, out, err)
+	{
+		if (called)
+			return;
 
-	if (bcp.rowsPerBatch)
-		hints.push('ROWS_PER_BATCH=' + Number(bcp.rowsPerBatch));
+		called = true;
+		clearTimeout(timer);
 
-	if (bcp.kbPerBatch)
-		hints.push('KILOBYTES_PER_BATCH=' + Number(bcp.kbPerBatch));
+		untrackGroupProcess(child);
 
-	if (bcp.tabLock)
-		hints.push('TABLOCK');
+		if (job)
+			job.kill = null;
 
-	if (bcp.checkConstraints)
-		hints.push('CHECK_CONSTRAINTS');
+		callback(error, out, err);
+	}
+}
 
-	if (bcp.fireTriggers)
-		hints.push('FIRE_TRIGGERS');
+/**
+ * @param bcp {Bcp}
+ */
+function tempFile (bcp)
+{
+	var base = new Date().getTime() + '_' + Math.floor(Math.random() * 4000000000) + '_' + process.pid;
+	return Path.join(bcp.tmp, base);
+}
 
-	if (hints.length > 0 && Os.platform() !== 'linux') // bcp for linux doesn't support -h
+/**
+ * Converts a value read from a CSV or NDJSON file into the type fieldDeserialize would give it. Values which can't be
+ * converted are left as they are, so that strict validation can report them.
+ * @param value {string}
+ * @param field {Field}
+ * @param timezone {string}
+ * @return {*}
+ */
+function textDeserialize (value, field, timezone)
+{
+	var date, n;
+
+	switch (Bcp.typesMap[field.type])
 	{
-		args.push('-h');
-		args.push(JSON.stringify(hints.join(',')));
+		case Date:
+			date = DateTime.parse(value, field.type, timezone);
+			return isNaN(date.getTime()) ? value : date;
+		case Number:
+			n = value.trim() ? Number(value) : NaN;
+			return isFinite(n) ? n : value;
+		case Boolean:
+			switch (value.trim().toLowerCase())
+			{
+				case 'true':
+				case '1':
+					return true;
+				case 'false':
+				case '0':
+					return false;
+				default:
+					return value;
+			}
+		case Buffer:
+			return /^(0x)?([0-9a-f]{2})*$/i.test(value) ? Buffer.from(value.replace(/^0x/i, ''), 'hex') : value;
+		default:
+			return value;
 	}
-
-	return args;
 }
 
 /**
- *
+ * Creates the function which turns a row read from a CSV or NDJSON file into a row for an ImportFile.
  * @param bcp {Bcp}
- * @param table {string}
- * @return {string}
+ * @param columns {string[]} The names of the fields in the import (see prepareBulkInsert).
+ * @param keys {string[]} The property of the file's rows which holds each column.
+ * @param format {FormatFile}
+ * @return {function(object):object}
  */
-function getQualifiedTable (bcp, table)
+function textRowConverter (bcp, columns, keys, format)
 {
-	var arg = '[' + table + ']';
-	if (bcp.schema)
-		arg = '[' + bcp.schema + '].' + arg;
+	var fields = columns.map(function (c)
+	{
+		return format.fields.filter(function (f) { return f.inImport && f.name === c; })[0];
+	});
 
-	if (bcp.database)
-		arg = '[' + bcp.database + '].' + arg;
+	var codecs = fields.map(function (f)
+	{
+		var codec = Types.get(bcp.types, f.type);
+		return codec && codec.deserialize ? codec : null;
+	});
 
-	if (bcp.quotedIdentifiers)
-		arg = JSON.stringify(arg);
+	return function (row)
+	{
+		var o = {};
+		var value;
+		for (var i = 0; i < fields.length; i++)
+		{
+			value = row[keys[i]];
+			if (value === undefined)
+				value = null;
+			else if (typeof value === 'string')
+				value = textDeserialize(value, fields[i], bcp.timezone);
 
-	return arg;
+			if (codecs[i] && value !== null)
+				value = codecs[i].deserialize(value, fields[i]);
+
+			o[columns[i]] = value;
+		}
+
+		return o;
+	};
 }
 
-function mergeOptions (defaults, overrides)
+/**
+ * Adds a process to groupProcesses, installing the listeners which kill them if it is the first one.
+ * @param child {ChildProcess}
+ */
+function trackGroupProcess (child)
 {
-	if (!overrides)
-		return defaults;
-
-	for (var i in defaults)
+	if (groupProcesses.length === 0)
 	{
-		if (i in overrides)
-			defaults[i] = overrides[i];
+		process.on('exit', killGroupProcesses);
+		process.on('SIGINT', onGroupProcessSignal);
+		process.on('SIGTERM', onGroupProcessSignal);
 	}
 
-	return defaults;
+	groupProcesses.push(child);
 }
 
 /**
- * @param bcp {Bcp}
+ * Removes a process from groupProcesses, and the listeners which kill them once it is empty.
+ * @param child {ChildProcess}
  */
-function tempFile (bcp)
+function untrackGroupProcess (child)
 {
-	var base = new Date().getTime() + '_' + Math.floor(Math.random() * 4000000000) + '_' + process.pid;
-	return Path.join(bcp.tmp, base);
+	var dex = groupProcesses.indexOf(child);
+	if (dex === -1)
+		return;
+
+	groupProcesses.splice(dex, 1);
+	if (groupProcesses.length > 0)
+		return;
+
+	process.removeListener('exit', killGroupProcesses);
+	process.removeListener('SIGINT', onGroupProcessSignal);
+	process.removeListener('SIGTERM', onGroupProcessSignal);
 }
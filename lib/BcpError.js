@@ -0,0 +1,172 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Util = require('util');
+
+/* =============================================================================
+ *
+ * BcpError - Error produced when a bcp process fails. Parses the SQLState,
+ * NativeError and message lines which bcp prints so callers can branch on them.
+ *
+ * ========================================================================== */
+
+module.exports = BcpError;
+
+Util.inherits(BcpError, Error);
+
+/**
+ * @param phase {string} The bcp operation which failed: "format", "in", "out" or "queryout".
+ * @param info {{ command: string, exitCode: ?number, signal: ?string, stdout: string, stderr: string }}
+ * @constructor
+ */
+function BcpError (phase, info)
+{
+	Error.call(this);
+	Error.captureStackTrace(this, BcpError);
+
+	/* -------------------------------------------------------------------
+	 * Public Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	this.name = 'BcpError';
+
+	/**
+	 * The bcp operation which failed: "format" (format file generation), "in", "out" or "queryout".
+	 * @member {string}
+	 */
+	this.phase = phase;
+
+	/**
+	 * The command which was run, with the password redacted.
+	 * @member {string}
+	 */
+	this.command = info.command;
+
+	/**
+	 * The exit code of the bcp process, or null if it was killed by a signal.
+	 * @member {?number}
+	 */
+	this.exitCode = typeof info.exitCode === 'number' ? info.exitCode : null;
+
+	/**
+	 * The signal which killed the bcp process (e.g. when the timeout is exceeded), or null.
+	 * @member {?string}
+	 */
+	this.signal = info.signal || null;
+
+	/**
+	 * The number of times bcp was run before giving up (see Bcp#retry).
+	 * @member {number}
+	 */
+	this.attempts = 1;
+
+	this.stdout = info.stdout || '';
+	this.stderr = info.stderr || '';
+
+	/**
+	 * Every diagnostic bcp reported, in order.
+	 * @member {{ sqlState: string, nativeError: number, message: string, warning: boolean }[]}
+	 */
+	this.errors = parseDiagnostics(this.stdout + '\n' + this.stderr);
+
+	var first = firstError(this.errors);
+
+	/**
+	 * The SQLState of the first reported error, or null.
+	 * @member {?string}
+	 */
+	this.sqlState = first ? first.sqlState : null;
+
+	/**
+	 * The native (SQL Server) error number of the first reported error, or null.
+	 * @member {?number}
+	 */
+	this.nativeError = first ? first.nativeError : null;
+
+	/**
+	 * Row numbers which bcp reported in its error messages.
+	 * @member {number[]}
+	 */
+	this.rows = parseRowNumbers(this.stdout + '\n' + this.stderr);
+
+	var reason;
+	if (first)
+		reason = first.message;
+	else if (this.signal)
+		reason = 'killed by ' + this.signal;
+	else if (this.stderr.trim())
+		reason = this.stderr.trim().split(/\r?\n/)[0];
+	else
+		reason = 'exited with code ' + this.exitCode;
+
+	this.message = 'bcp ' + phase + ' failed: ' + reason;
+}
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function firstError (errors)
+{
+	for (var i = 0; i < errors.length; i++)
+	{
+		if (!errors[i].warning)
+			return errors[i];
+	}
+
+	return errors[0] || null;
+}
+
+/**
+ * bcp reports diagnostics as pairs of lines:
+ *
+ *     SQLState = 37000, NativeError = 4060
+ *     Error = [Microsoft][ODBC Driver 17 for SQL Server][SQL Server]Cannot open database ...
+ *
+ * @param output {string}
+ * @return {object[]}
+ */
+function parseDiagnostics (output)
+{
+	var diagnostics = [];
+	var lines = output.split(/\r?\n/);
+	var match, current = null;
+
+	for (var i = 0; i < lines.length; i++)
+	{
+		match = /SQLState\s*=\s*(\w+)\s*,\s*NativeError\s*=\s*(-?\d+)/i.exec(lines[i]);
+		if (match)
+		{
+			current = { sqlState: match[1], nativeError: Number(match[2]), message: '', warning: false };
+			diagnostics.push(current);
+			continue;
+		}
+
+		match = /^\s*(Error|Warning)\s*=\s*(.*)$/.exec(lines[i]);
+		if (match && current && !current.message)
+		{
+			current.warning = match[1] === 'Warning';
+			current.message = match[2].trim();
+		}
+	}
+
+	return diagnostics;
+}
+
+function parseRowNumbers (output)
+{
+	var rows = [];
+	var regex = /\bRow\s+(\d+)/gi;
+	var match, row;
+
+	while ((match = regex.exec(output)))
+	{
+		row = Number(match[1]);
+		if (rows.indexOf(row) === -1)
+			rows.push(row);
+	}
+
+	return rows;
+}
@@ -0,0 +1,570 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var AbortError = require('./AbortError');
+var debug = require('neo-debug')('bcp:');
+var Flow = require('./Flow');
+var Fs = require('fs');
+var ImportFile = require('./ImportFile');
+var Job = require('./Job');
+var Path = require('path');
+var Util = require('util');
+var Writable = require('stream').Writable;
+
+/* =============================================================================
+ *
+ * ChunkedImportFile - An ImportFile which rolls over to a new data file every
+ * N rows or megabytes, so a large load is split across several bcp processes.
+ * The chunks share one format file and are bulk inserted one after another,
+ * or several at a time when the table is locked with tabLock.
+ *
+ * ========================================================================== */
+
+module.exports = ChunkedImportFile;
+
+Util.inherits(ChunkedImportFile, Writable);
+
+/**
+ * @param bcp {Bcp}
+ * @param format {FormatFile}
+ * @param table {string}
+ * @param filename {string} The data filename. Chunks are numbered, e.g. "x_import.dat" becomes "x_import_1.dat".
+ * @param encoding {string}
+ * @param options {{ rows: number, bytes: number, concurrency: number }} The maximum number of rows and bytes in each
+ * chunk (0 for no limit), and the number of chunks to insert at once.
+ * @constructor
+ */
+function ChunkedImportFile (bcp, format, table, filename, encoding, options)
+{
+	Writable.call(this, { objectMode: true });
+
+	/* -------------------------------------------------------------------
+	 * Private Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	this.bcp = bcp;
+	this.format = format;
+	this.table = table;
+	this.filename = filename;
+	this.encoding = encoding;
+	this.chunkRows = options.rows || 0;
+	this.chunkBytes = options.bytes || 0;
+	this.concurrency = Math.max(1, options.concurrency || 1);
+
+	// an ImportFile for each chunk, in order
+	this.chunks = [];
+
+	// the number of rows written to all of the chunks so far
+	this.rowCount = 0;
+
+	// the number of rows passed to writeRows so far (see ImportFile)
+	this.rowIndex = 0;
+
+	// the chunk rows are currently written to, or null if the next write starts a new chunk
+	this._current = null;
+
+	// the row number of the first row passed to each chunk
+	this._firstRows = [];
+
+	// the Job of the bulk insert once execute() has been called (see ImportFile)
+	this._job = null;
+}
+
+/* -------------------------------------------------------------------
+ * Public Members Declaration << no methods >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Options passed to execute() when the ChunkedImportFile is used as a Writable stream and the stream finishes.
+ * @member {object}
+ */
+ChunkedImportFile.prototype.executeOptions = null;
+
+/**
+ * The summary of the bulk insert (see execute) once execute() has completed, whether or not every chunk succeeded.
+ * @member {object}
+ */
+ChunkedImportFile.prototype.details = null;
+
+/**
+ * Invalid rows which were skipped when strict is "collect" (see ImportFile#invalidRows).
+ * @member {?object[]}
+ */
+ChunkedImportFile.prototype.invalidRows = null;
+
+/**
+ * See ImportFile#strict.
+ * @member {boolean|string}
+ */
+ChunkedImportFile.prototype.strict = false;
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Writable implementation. See ImportFile#_destroy. Every chunk's data file is closed, and the chunks and the format
+ * file are deleted unless executeOptions.keepFiles is set.
+ */
+ChunkedImportFile.prototype._destroy = function (error, callback)
+{
+	if (this._job)
+	{
+		this._job.cancel();
+		callback(error);
+		return;
+	}
+
+	var _this = this;
+	var keepFiles = this.executeOptions && this.executeOptions.keepFiles;
+	this._current = null;
+	Flow.map(
+		this.chunks,
+		function (cb, chunk)
+		{
+			chunk.executeOptions = _this.executeOptions;
+			chunk.once('close', function () { cb(); });
+			chunk.destroy();
+		},
+		function ()
+		{
+			if (keepFiles || !_this.format.filename)
+			{
+				callback(error);
+				return;
+			}
+
+			// the chunks delete the format file too, but there may not be any
+			Fs.unlink(_this.format.filename, function ()
+			{
+				callback(error);
+			});
+		}
+	);
+};
+
+/**
+ * Writable implementation. See ImportFile#_final.
+ */
+ChunkedImportFile.prototype._final = function (callback)
+{
+	this.execute(this.executeOptions, callback);
+};
+
+ChunkedImportFile.prototype._write = function (row, encoding, callback)
+{
+	var flushed;
+	try
+	{
+		flushed = this.writeRows([ row ]);
+	}
+	catch (ex)
+	{
+		callback(ex);
+		return;
+	}
+
+	if (flushed)
+	{
+		callback();
+		return;
+	}
+
+	// wait for the current chunk's file stream to drain so that rows aren't buffered in memory faster than they can be
+	// written
+	var writeStream = this._current.writeStream;
+	writeStream.once('drain', onDrain);
+	writeStream.once('error', onError);
+
+	function onDrain ()
+	{
+		writeStream.removeListener('error', onError);
+		callback();
+	}
+
+	function onError (error)
+	{
+		writeStream.removeListener('drain', onDrain);
+		callback(error);
+	}
+};
+
+/**
+ * Deletes every chunk's data file without executing the bulk insert. Returns a Promise if no callback is provided.
+ * @param [callback]
+ * @return {Promise|undefined}
+ */
+ChunkedImportFile.prototype.cancel = function (callback)
+{
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.cancel, []);
+
+	this._current = null;
+	Flow.map(
+		this.chunks,
+		function (cb, chunk) { chunk.cancel(cb); },
+		function (error)
+		{
+			callback(error || null);
+		}
+	);
+};
+
+/**
+ * Saves the data files and bulk inserts them, running up to concurrency chunks at once. Once a chunk fails, no more
+ * chunks are started, but chunks which have already been committed stay committed. options.onProgress receives each
+ * chunk's progress (see Bcp#bulkInsert) with an added chunk property (its index). Each chunk gets its own error file,
+ * named after options.errorFile (or the Bcp instance's errorFile), e.g. "errors_1.txt". Returns a Promise if no
+ * callback is provided.
+ *
+ * The callback receives a summary: { formatFile, chunks, rowCount, clockTime, rowsPerSecond, rejectedRows,
+ * keptFiles }. Each item of chunks is { index, filename, firstRow, rowCount, status, details, error }, where status
+ * is "committed", "failed", "cancelled" or "skipped" (never started because an earlier chunk failed), and details are
+ * the chunk's Bcp#bulkInsert details. If a chunk fails, the callback receives the first chunk's error, with chunk (its
+ * index) and details (the summary) properties. The files of failed and skipped chunks, and the format file, are kept so
+ * they can be inserted later with Bcp#bulkInsert.
+ *
+ * Cancelling the returned Job (or options.signal) kills the running chunks and starts no more. Unless keepFiles is
+ * set, the files of every chunk which wasn't committed are deleted, and the callback receives an AbortError.
+ * @param [options] Options for Bcp#bulkInsert.
+ * @param [callback]
+ * @return {Job|Promise}
+ */
+ChunkedImportFile.prototype.execute = function (options, callback)
+{
+	if (typeof options === 'function')
+	{
+		callback = options;
+		options = null;
+	}
+
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.execute, [ options ]);
+
+	options = options || {};
+
+	var _this = this;
+	var keepFiles = !!options.keepFiles;
+	var start = Date.now();
+	var job = new Job(options.signal);
+	this._job = job;
+
+	this.save(function (error)
+	{
+		if (error)
+		{
+			job.finish();
+			callback(error);
+			return;
+		}
+
+		var results = _this.chunks.map(function (chunk, i)
+		{
+			return {
+				index: i + 1,
+				filename: chunk.filename,
+				firstRow: _this._firstRows[i],
+				rowCount: chunk.rowCount,
+				status: 'skipped',
+				details: null,
+				error: null
+			};
+		});
+
+		runChunks(_this, results, options, job, function ()
+		{
+			job.finish();
+
+			var details = summarize(_this, results, keepFiles, Date.now() - start);
+			var failed = results.filter(function (r) { return r.status === 'failed'; })[0];
+			var error = failed ? failed.error : job.cancelled ? new AbortError() : null;
+
+			_this.details = details;
+			if (error instanceof AbortError && !keepFiles)
+			{
+				// nothing is left to insert later
+				var files = details.keptFiles;
+				details.keptFiles = [];
+				Flow.map(
+					files,
+					function (cb, file) { Fs.unlink(file, function () { cb(); }); },
+					function ()
+					{
+						error.details = details;
+						callback(error);
+					}
+				);
+				return;
+			}
+
+			if (error)
+			{
+				if (failed)
+					error.chunk = failed.index;
+
+				error.details = details;
+				callback(error);
+				return;
+			}
+
+			if (keepFiles)
+			{
+				callback(null, details);
+				return;
+			}
+
+			Fs.unlink(_this.format.filename, function (error)
+			{
+				if (error)
+					debug(error);
+
+				callback(null, details);
+			});
+		});
+	});
+
+	return job;
+};
+
+/**
+ * Finishes writing every chunk's data file. Returns a Promise if no callback is provided.
+ * @param [callback]
+ * @return {Promise|undefined}
+ */
+ChunkedImportFile.prototype.save = function (callback)
+{
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.save, []);
+
+	this._current = null;
+	Flow.map(
+		this.chunks,
+		function (cb, chunk) { chunk.save(cb); },
+		function (error)
+		{
+			callback(error || null);
+		}
+	);
+};
+
+/**
+ * Writes rows to the current chunk, starting a new chunk whenever the current one reaches chunkRows rows or
+ * chunkBytes bytes. Chunks hold exactly chunkRows rows, but the byte limit is only checked after each write, so a
+ * chunk may go over it by the rows of one call. Otherwise this behaves like ImportFile#writeRows, except that if a
+ * call is split across chunks and a row is invalid, the rows before the split have already been written.
+ * @param rows {object[]}
+ * @return {boolean}
+ */
+ChunkedImportFile.prototype.writeRows = function (rows)
+{
+	var flushed = true;
+	var i = 0;
+	var chunk, n, rowCount, invalidCount;
+
+	while (i < rows.length)
+	{
+		chunk = this._current || startChunk(this);
+		n = rows.length - i;
+		if (this.chunkRows)
+			n = Math.min(n, this.chunkRows - chunk.rowCount);
+
+		rowCount = chunk.rowCount;
+		invalidCount = chunk.invalidRows ? chunk.invalidRows.length : 0;
+
+		flushed = chunk.writeRows(n === rows.length ? rows : rows.slice(i, i + n));
+
+		i += n;
+		this.rowIndex = chunk.rowIndex;
+		this.rowCount += chunk.rowCount - rowCount;
+		if (chunk.invalidRows && chunk.invalidRows.length > invalidCount)
+			this.invalidRows = (this.invalidRows || []).concat(chunk.invalidRows.slice(invalidCount));
+
+		if ((this.chunkRows && chunk.rowCount >= this.chunkRows) || (this.chunkBytes && chunk.byteCount >= this.chunkBytes))
+		{
+			// finish the chunk in the background. Any error is reported again when the chunk is saved by execute.
+			debug('Chunk ' + this.chunks.length + ' is full.');
+			chunk.save(function (error)
+			{
+				if (error)
+					debug(error);
+			});
+
+			this._current = null;
+			flushed = true;
+		}
+	}
+
+	return flushed;
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Numbers a filename, e.g. chunkFilename("x_import.dat", 2) is "x_import_2.dat".
+ * @param filename {string}
+ * @param index {number}
+ * @return {string}
+ */
+function chunkFilename (filename, index)
+{
+	var ext = Path.extname(filename);
+	return filename.substr(0, filename.length - ext.length) + '_' + index + ext;
+}
+
+/**
+ * Bulk inserts the chunks, up to file.concurrency at a time, until they are all done, one fails, or the job is
+ * cancelled.
+ * @param file {ChunkedImportFile}
+ * @param results {object[]}
+ * @param executeOptions {{ keepFiles: boolean, errorFile: ?string, onProgress: ?function }} errorFile overrides
+ * file.bcp.errorFile, as for Bcp#bulkInsert.
+ * @param job {Job}
+ * @param callback {function()}
+ */
+function runChunks (file, results, executeOptions, job, callback)
+{
+	var next = 0;
+	var running = 0;
+	var failed = false;
+	var called = false;
+
+	for (var i = 0; i < file.concurrency; i++)
+		startNext();
+
+	function startNext ()
+	{
+		if (failed || job.cancelled || next >= results.length)
+		{
+			if (running === 0 && !called)
+			{
+				called = true;
+				setImmediate(callback);
+			}
+
+			return;
+		}
+
+		var result = results[next++];
+		var chunk = file.chunks[result.index - 1];
+		var options = { keepFiles: true, signal: job, errorFile: null };
+		var errorFile = executeOptions.errorFile !== undefined ? executeOptions.errorFile : file.bcp.errorFile;
+		if (errorFile)
+			options.errorFile = chunkFilename(errorFile, result.index);
+
+		if (executeOptions.onProgress)
+		{
+			options.onProgress = function (info)
+			{
+				info.chunk = result.index;
+				executeOptions.onProgress(info);
+			};
+		}
+
+		running++;
+		debug('Inserting chunk ' + result.index + ' of ' + results.length + '...');
+		chunk.execute(options, function (error, details)
+		{
+			if (error)
+			{
+				result.status = error instanceof AbortError ? 'cancelled' : 'failed';
+				result.error = error;
+				result.details = { rejectedRows: error.rejectedRows || [] };
+				failed = true;
+				running--;
+				startNext();
+				return;
+			}
+
+			result.status = 'committed';
+			result.details = details;
+
+			if (executeOptions.keepFiles)
+			{
+				running--;
+				startNext();
+				return;
+			}
+
+			// the format file is shared by every chunk, so only the data file can be removed
+			details.keptFiles = [ details.formatFile ];
+			Fs.unlink(chunk.filename, function (error)
+			{
+				if (error)
+					debug(error);
+
+				running--;
+				startNext();
+			});
+		});
+	}
+}
+
+/**
+ * @param file {ChunkedImportFile}
+ * @return {ImportFile}
+ */
+function startChunk (file)
+{
+	var index = file.chunks.length + 1;
+	var chunk = new ImportFile(file.bcp, file.format, file.table, chunkFilename(file.filename, index), file.encoding);
+	chunk.strict = file.strict;
+	// number rows across every chunk, so errors report the row's position in everything which was written
+	chunk.rowIndex = file.rowIndex;
+
+	file.chunks.push(chunk);
+	file._firstRows.push(file.rowIndex + 1);
+	file._current = chunk;
+	return chunk;
+}
+
+/**
+ * @param file {ChunkedImportFile}
+ * @param results {object[]}
+ * @param keepFiles {boolean}
+ * @param clockTime {number}
+ * @return {object}
+ */
+function summarize (file, results, keepFiles, clockTime)
+{
+	var rowCount = 0;
+	var rejectedRows = [];
+	var keptFiles = [];
+	var complete = true;
+
+	results.forEach(function (r)
+	{
+		if (r.status === 'committed')
+			rowCount += r.details.rowCount;
+		else
+			complete = false;
+
+		if (r.details)
+		{
+			r.details.rejectedRows.forEach(function (rejected)
+			{
+				rejected.chunk = r.index;
+				rejectedRows.push(rejected);
+			});
+		}
+
+		if (keepFiles || r.status !== 'committed')
+			keptFiles.push(r.filename);
+	});
+
+	if (keepFiles || !complete)
+		keptFiles.unshift(file.format.filename);
+
+	return {
+		formatFile: file.format.filename,
+		chunks: results,
+		rowCount: rowCount,
+		clockTime: clockTime,
+		rowsPerSecond: clockTime ? Math.round(rowCount * 100000 / clockTime) / 100 : null,
+		rejectedRows: rejectedRows,
+		keptFiles: keptFiles
+	};
+}
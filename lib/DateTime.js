@@ -0,0 +1,236 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+//
+
+/* =============================================================================
+ *
+ * DateTime - Converts between javascript Dates and the character representation
+ * bcp uses for SQL Server's date and time types.
+ *
+ * Javascript Dates only have millisecond precision, while datetime2, time and
+ * datetimeoffset store up to 100 nanoseconds. The remainder is kept in a
+ * "nanoseconds" property (0 - 999999) on the Date. Dates parsed from a
+ * datetimeoffset also have an "offset" property with the offset in minutes,
+ * which is used again when the Date is formatted as a datetimeoffset.
+ *
+ * Values without an offset are wall clock times in a time zone: "utc" (the
+ * default), "local" (the time zone of this process) or an IANA zone name such
+ * as "America/Chicago". time values are always on 1970-01-01 UTC, since a time
+ * of day has no date to find the zone's offset for.
+ *
+ * ========================================================================== */
+
+var DateTime = module.exports;
+
+var DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:\d{2})?$/;
+var TIME_REGEX = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?$/;
+
+// the number of fractional second digits SQL Server uses when a column doesn't specify a scale
+var DEFAULT_SCALE = 7;
+
+// Intl.DateTimeFormat instances by IANA zone name, since they are expensive to create
+var formatters = {};
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Formats a Date the way bcp expects it for the column type.
+ * @param date {Date}
+ * @param type {string} The bcp column type, e.g. "SQLDATETIME2".
+ * @param [scale] {number} The number of fractional second digits. Defaults to 7 for types which support a scale.
+ * @param [timezone] {string} "utc" (default), "local" or an IANA zone name.
+ * @return {string}
+ */
+DateTime.format = function (date, type, scale, timezone)
+{
+	var offset = 0;
+	if (type === 'SQLDATETIMEOFFSET' && typeof date.offset === 'number')
+		offset = date.offset;
+	else if (type !== 'SQLTIME')
+		offset = DateTime.getOffset(date.getTime(), timezone);
+
+	// shift the time so the UTC getters return the local time at the offset
+	var d = new Date(date.getTime() + offset * 60000);
+	var ymd = pad(d.getUTCFullYear(), 4) + '-' + pad(d.getUTCMonth() + 1, 2) + '-' + pad(d.getUTCDate(), 2);
+	var hms = pad(d.getUTCHours(), 2) + ':' + pad(d.getUTCMinutes(), 2) + ':' + pad(d.getUTCSeconds(), 2);
+
+	if (scale === undefined || scale === null || isNaN(scale))
+		scale = DEFAULT_SCALE;
+
+	switch (type)
+	{
+		case 'SQLDATE':
+			return ymd;
+		case 'SQLTIME':
+			return hms + fraction(date, scale);
+		case 'SQLDATETIME2':
+			return ymd + ' ' + hms + fraction(date, scale);
+		case 'SQLDATETIMEOFFSET':
+			return ymd + ' ' + hms + fraction(date, scale) + ' ' + formatOffset(offset);
+		default:
+			// datetime and smalldatetime, and dates written to character columns
+			return ymd + ' ' + hms + '.' + pad(d.getUTCMilliseconds(), 3);
+	}
+};
+
+/**
+ * Converts a wall clock time in the time zone into a timestamp.
+ * @param wallClock {number} The wall clock time, as milliseconds since 1970-01-01 00:00.
+ * @param [timezone] {string} "utc" (default), "local" or an IANA zone name.
+ * @return {number}
+ */
+DateTime.fromWallClock = function (wallClock, timezone)
+{
+	// the offset depends on the instant, which isn't known yet, so guess with the offset at the wall clock time and
+	// correct the guess once. This lands on the later time when the wall clock time is repeated (DST ending).
+	var guess = wallClock - DateTime.getOffset(wallClock, timezone) * 60000;
+	return wallClock - DateTime.getOffset(guess, timezone) * 60000;
+};
+
+/**
+ * @param time {number} A timestamp.
+ * @param [timezone] {string} "utc" (default), "local" or an IANA zone name.
+ * @return {number} The time zone's offset from UTC in minutes at that time (e.g. -300 for US Central Daylight Time).
+ */
+DateTime.getOffset = function (time, timezone)
+{
+	if (!timezone || String(timezone).toLowerCase() === 'utc')
+		return 0;
+
+	if (timezone === 'local')
+		return -new Date(time).getTimezoneOffset();
+
+	var formatter = formatters[timezone];
+	if (!formatter)
+	{
+		formatter = formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone,
+			hour12: false,
+			year: 'numeric',
+			month: 'numeric',
+			day: 'numeric',
+			hour: 'numeric',
+			minute: 'numeric',
+			second: 'numeric'
+		});
+	}
+
+	var parts = {};
+	formatter.formatToParts(new Date(time)).forEach(function (p) { parts[p.type] = Number(p.value); });
+
+	var wallClock = new Date(0);
+	wallClock.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+	// some versions of Intl report midnight as hour 24
+	wallClock.setUTCHours(parts.hour % 24, parts.minute, parts.second, 0);
+
+	var seconds = time - (((time % 1000) + 1000) % 1000);
+	return Math.round((wallClock.getTime() - seconds) / 60000);
+};
+
+/**
+ * Parses the character representation of a date and/or time. Returns an invalid Date if the value can't be parsed.
+ * @param value {string}
+ * @param type {string} The bcp column type, e.g. "SQLDATETIME2".
+ * @param [timezone] {string} "utc" (default), "local" or an IANA zone name. Ignored if the value has an offset.
+ * @return {Date}
+ */
+DateTime.parse = function (value, type, timezone)
+{
+	var str = value.trim();
+	var match, date, digits;
+
+	if (type === 'SQLTIME' && (match = TIME_REGEX.exec(str)))
+	{
+		digits = fractionDigits(match[4]);
+		date = new Date(Date.UTC(1970, 0, 1, Number(match[1]), Number(match[2]), Number(match[3] || 0),
+			Number(digits.substr(0, 3))));
+	}
+	else if ((match = DATE_REGEX.exec(str)))
+	{
+		digits = fractionDigits(match[7]);
+		date = new Date(0);
+		date.setUTCFullYear(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+		date.setUTCHours(Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0),
+			Number(digits.substr(0, 3)));
+
+		var offset = parseOffset(match[8]);
+		if (match[8])
+			date.setTime(date.getTime() - offset * 60000);
+		else
+			date.setTime(DateTime.fromWallClock(date.getTime(), timezone));
+
+		if (type === 'SQLDATETIMEOFFSET')
+			date.offset = match[8] ? offset : DateTime.getOffset(date.getTime(), timezone);
+	}
+	else
+	{
+		// some other format the Date constructor may understand
+		return new Date(value);
+	}
+
+	if (type === 'SQLTIME' || type === 'SQLDATETIME2' || type === 'SQLDATETIMEOFFSET')
+		date.nanoseconds = Number(digits.substr(3, 6));
+
+	return date;
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function formatOffset (minutes)
+{
+	var abs = Math.abs(minutes);
+	return (minutes < 0 ? '-' : '+') + pad(Math.floor(abs / 60), 2) + ':' + pad(abs % 60, 2);
+}
+
+/**
+ * @param date {Date}
+ * @param scale {number}
+ * @return {string} The fractional seconds, including the decimal point, or an empty string if scale is 0.
+ */
+function fraction (date, scale)
+{
+	if (scale <= 0)
+		return '';
+
+	var ns = typeof date.nanoseconds === 'number' ? date.nanoseconds : 0;
+	var digits = pad(((date.getTime() % 1000) + 1000) % 1000, 3) + pad(ns, 6);
+	return '.' + digits.substr(0, Math.min(scale, 7));
+}
+
+/**
+ * @param digits {string|undefined}
+ * @return {string} The fractional seconds as exactly nine digits (milliseconds followed by nanoseconds).
+ */
+function fractionDigits (digits)
+{
+	return ((digits || '') + '000000000').substr(0, 9);
+}
+
+function pad (value, width)
+{
+	var str = String(value);
+	while (str.length < width)
+		str = '0' + str;
+
+	return str;
+}
+
+/**
+ * @param str {string|undefined} e.g. "+05:30", "-08:00" or "Z"
+ * @return {number} The offset in minutes.
+ */
+function parseOffset (str)
+{
+	if (!str || str === 'Z')
+		return 0;
+
+	var minutes = Number(str.substr(1, 2)) * 60 + Number(str.substr(4, 2));
+	return str[0] === '-' ? -minutes : minutes;
+}
@@ -0,0 +1,156 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Fs = require('fs');
+var Types = require('./Types');
+
+/* =============================================================================
+ *
+ * ErrorFile - Reads the error file bcp writes for rows it rejects (-e).
+ *
+ * Each rejected row is written as a header line followed by the row's data,
+ * exactly as it appeared in the data file:
+ *
+ *     #@ Row 2, Column 3: Invalid character value for cast specification @#
+ *     2	abc	not a date
+ *
+ * ========================================================================== */
+
+var ErrorFile = module.exports;
+
+var HEADER_REGEX = /#@\s*Row\s+(\d+)\s*,\s*Column\s+(\d+)\s*:\s*([\s\S]*?)\s*@#[ \t]*\r?\n?/g;
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Parses the contents of an error file.
+ * @param text {string}
+ * @param format {FormatFile} The format of the data file which was imported.
+ * @param deserialize {function(string, Field, string):*} See ExportStream.
+ * @param [options] {{ types: object, timezone: string }} See ExportStream.
+ * @return {object[]} { row: number, column: number, columnName: ?string, message: string, data: ?object, raw: string }
+ */
+ErrorFile.parse = function (text, format, deserialize, options)
+{
+	options = options || {};
+
+	var rejected = [];
+	var headers = [];
+	var match;
+
+	HEADER_REGEX.lastIndex = 0;
+	while ((match = HEADER_REGEX.exec(text)))
+		headers.push({ match: match, end: HEADER_REGEX.lastIndex });
+
+	var h, raw, field;
+	for (var i = 0; i < headers.length; i++)
+	{
+		h = headers[i];
+		raw = text.substring(h.end, i + 1 < headers.length ? headers[i + 1].match.index : text.length);
+		field = format.fields[Number(h.match[2]) - 1];
+
+		rejected.push({
+			row: Number(h.match[1]),
+			column: Number(h.match[2]),
+			columnName: field ? field.name : null,
+			message: h.match[3],
+			data: format.native ? null : parseRow(raw, format, deserialize, options),
+			raw: raw
+		});
+	}
+
+	return rejected;
+};
+
+/**
+ * Reads and parses an error file. A missing file means no rows were rejected. If a value can't be converted (e.g. a
+ * codec throws), the callback receives the error.
+ * @param filename {string}
+ * @param format {FormatFile} The format of the data file which was imported.
+ * @param deserialize {function(string, Field, string):*} See ExportStream.
+ * @param [options] {{ types: object, timezone: string }} See ExportStream.
+ * @param callback {function(Error, object[])}
+ */
+ErrorFile.read = function (filename, format, deserialize, options, callback)
+{
+	Fs.readFile(filename, function (error, buffer)
+	{
+		if (error)
+		{
+			callback(error.code === 'ENOENT' ? null : error, []);
+			return;
+		}
+
+		// the rows are copied from the data file, so they're usually in its encoding, but fall back to the other
+		// encoding if no headers can be found
+		var text = decode(buffer, format.encoding);
+		if (text.indexOf('#@') === -1)
+			text = decode(buffer, format.encoding === 'ucs2' ? 'latin1' : 'ucs2');
+
+		var rejected;
+		try
+		{
+			rejected = ErrorFile.parse(text, format, deserialize, options);
+		}
+		catch (ex)
+		{
+			callback(ex, []);
+			return;
+		}
+
+		callback(null, rejected);
+	});
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function decode (buffer, encoding)
+{
+	var text = buffer.toString(encoding === 'ucs2' ? 'ucs2' : 'latin1');
+	return text.charCodeAt(0) === 0xfeff ? text.substr(1) : text;
+}
+
+/**
+ * @param raw {string}
+ * @param format {FormatFile}
+ * @param deserialize {function}
+ * @param options {object}
+ * @return {?object} Null if the row doesn't have every field (e.g. bcp rejected it because it was truncated).
+ */
+function parseRow (raw, format, deserialize, options)
+{
+	var fields = format.fields;
+	var o = {};
+	var i = 0;
+	var f, dex, value, codec;
+
+	for (var c = 0; c < fields.length; c++)
+	{
+		f = fields[c];
+		dex = raw.indexOf(f.terminator, i);
+		if (dex === -1)
+		{
+			// the row terminator may be missing from the last row in the file
+			if (c < fields.length - 1 || i > raw.length)
+				return null;
+
+			dex = raw.replace(/\r?\n$/, '').length;
+		}
+
+		value = deserialize(raw.substring(i, dex), f, options.timezone || 'utc');
+		codec = Types.get(options.types || null, f.type);
+		if (codec && codec.deserialize && value !== null)
+			value = codec.deserialize(value, f);
+
+		o[f.name] = value;
+		i = dex + f.terminator.length;
+	}
+
+	return o;
+}
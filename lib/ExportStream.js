@@ -0,0 +1,273 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var debug = require('neo-debug')('bcp:');
+var Fs = require('fs');
+var Native = require('./Native');
+var Readable = require('stream').Readable;
+var StringDecoder = require('string_decoder').StringDecoder;
+var Types = require('./Types');
+var Util = require('util');
+
+/* =============================================================================
+ *
+ * ExportStream - Object-mode Readable which parses rows out of a bcp export
+ * file as the file is read.
+ *
+ * ========================================================================== */
+
+module.exports = ExportStream;
+
+Util.inherits(ExportStream, Readable);
+
+/**
+ * @param filename {string}
+ * @param format {FormatFile}
+ * @param deserialize {function(string, Field, string):*} Converts a raw field value into its javascript
+ * representation, given the field and time zone.
+ * @param [options] {{ types: object, timezone: string }} Codecs which take precedence over the global ones (see
+ * Bcp.registerType), and the time zone of date values (see Bcp#timezone).
+ * @constructor
+ */
+function ExportStream (filename, format, deserialize, options)
+{
+	options = options || {};
+
+	Readable.call(this, { objectMode: true });
+
+	/* -------------------------------------------------------------------
+	 * Public Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	this.filename = filename;
+	this.format = format;
+
+	/**
+	 * The number of rows which have been parsed so far.
+	 * @member {number}
+	 */
+	this.rowCount = 0;
+
+	/* -------------------------------------------------------------------
+	 * Private Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	this._deserialize = deserialize;
+	this._timezone = options.timezone || 'utc';
+	this._source = null;
+	// the decoder holds on to partial multi-byte characters which are split across chunks
+	this._decoder = format.native ? null : new StringDecoder(format.encoding);
+	this._buffer = format.native ? Buffer.alloc(0) : '';
+	this._terms = format.fields.map(function (f) { return f.terminator; });
+	this._codecs = format.fields.map(function (f)
+	{
+		var codec = Types.get(options.types || null, f.type);
+		return codec && codec.deserialize ? codec : null;
+	});
+}
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+ExportStream.prototype._destroy = function (error, callback)
+{
+	if (this._source)
+		this._source.destroy();
+
+	callback(error);
+};
+
+ExportStream.prototype._read = function ()
+{
+	if (this._source)
+	{
+		this._source.resume();
+		return;
+	}
+
+	var error = this.format.native ? Native.checkFields(this.format.fields) : null;
+	if (error)
+	{
+		this.destroy(error);
+		return;
+	}
+
+	var _this = this;
+	this._source = Fs.createReadStream(this.filename);
+
+	var parse = this.format.native ? parseNativeRows : parseRows;
+
+	this._source.on('data', function (chunk)
+	{
+		if (_this._decoder)
+			_this._buffer += _this._decoder.write(chunk);
+		else
+			_this._buffer = Buffer.concat([ _this._buffer, chunk ]);
+
+		if (!parse(_this))
+			_this._source.pause();
+	});
+
+	this._source.on('end', function ()
+	{
+		if (_this._decoder)
+			_this._buffer += _this._decoder.end();
+
+		parse(_this);
+		if (_this.destroyed)
+			return;
+
+		if (_this._buffer.length > 0)
+			debug('Ignoring ' + _this._buffer.length + ' trailing characters or bytes of an incomplete row.');
+
+		_this._buffer = null;
+		_this.push(null);
+	});
+
+	this._source.on('error', function (error)
+	{
+		_this.emit('error', error);
+	});
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Native format equivalent of parseRows. The buffer holds raw bytes instead of decoded text.
+ * @param stream {ExportStream}
+ * @return {boolean} False if the consumer has asked us to stop pushing, or the stream has failed.
+ */
+function parseNativeRows (stream)
+{
+	var data = stream._buffer;
+	var fields = stream.format.fields;
+	var fLength = fields.length;
+	var codecs = stream._codecs;
+	var more = true;
+	var offset = 0;
+	var pos, o, c, result, value;
+
+	data_loop:
+	while (offset < data.length)
+	{
+		pos = offset;
+		o = {};
+		for (c = 0; c < fLength; c++)
+		{
+			try
+			{
+				result = Native.readField(data, pos, fields[c], stream._timezone);
+				if (result === null)
+					break data_loop;
+
+				value = result.value;
+				if (codecs[c] && value !== null)
+					value = codecs[c].deserialize(value, fields[c]);
+			}
+			catch (ex)
+			{
+				// the error reaches the consumer instead of escaping the file stream's "data" listener
+				stream.destroy(rowError(ex, stream.rowCount + 1, fields[c]));
+				return false;
+			}
+
+			o[fields[c].name] = value;
+			pos = result.offset;
+		}
+
+		offset = pos;
+		stream.rowCount++;
+		more = stream.push(o);
+	}
+
+	stream._buffer = data.slice(offset);
+	return more;
+}
+
+/**
+ * Pushes every complete row in the buffer. Any incomplete row (including one whose terminator is split across chunks)
+ * is left in the buffer until more data arrives. If a value can't be converted, the stream is destroyed with the error.
+ * @param stream {ExportStream}
+ * @return {boolean} False if the consumer has asked us to stop pushing, or the stream has failed.
+ */
+function parseRows (stream)
+{
+	var data = stream._buffer;
+	var fields = stream.format.fields;
+	var fLength = fields.length;
+	var terms = stream._terms;
+	var codecs = stream._codecs;
+	var more = true;
+	var i = 0;
+	var start, values, c, t, dex, o, value;
+
+	data_loop:
+	while (i < data.length)
+	{
+		start = i;
+		values = new Array(fLength);
+		for (c = 0; c < fLength; c++)
+		{
+			t = terms[c];
+			dex = data.indexOf(t, i);
+			if (dex === -1)
+			{
+				i = start;
+				break data_loop;
+			}
+
+			values[c] = data.substring(i, dex);
+			i = dex + t.length;
+		}
+
+		o = {};
+		for (c = 0; c < fLength; c++)
+		{
+			try
+			{
+				value = stream._deserialize(values[c], fields[c], stream._timezone);
+				if (codecs[c] && value !== null)
+					value = codecs[c].deserialize(value, fields[c]);
+			}
+			catch (ex)
+			{
+				stream.destroy(rowError(ex, stream.rowCount + 1, fields[c]));
+				return false;
+			}
+
+			o[fields[c].name] = value;
+		}
+
+		stream.rowCount++;
+		more = stream.push(o);
+	}
+
+	stream._buffer = data.substr(i);
+	return more;
+}
+
+/**
+ * Adds the position of the value which couldn't be converted to an error, the same way ImportFile reports bad values.
+ * @param error {Error}
+ * @param row {number} 1-based.
+ * @param field {Field}
+ * @return {Error}
+ */
+function rowError (error, row, field)
+{
+	if (!(error instanceof Error))
+		error = new Error(String(error));
+
+	if (error.row === undefined)
+	{
+		error.row = row;
+		error.column = field.name;
+	}
+
+	return error;
+}
@@ -32,22 +32,85 @@ function Field (fieldObj, columns)
 	this.attributes = fieldObj;
 	this.column = null;
 
+	/**
+	 * The number of bytes used for the length prefix of each value (0, 1, 2, 4 or 8). Only used by native formats.
+	 * @member {number}
+	 */
+	this.prefixLength = fieldObj.PREFIX_LENGTH ? Number(fieldObj.PREFIX_LENGTH) : 0;
+
+	/**
+	 * The length in bytes of fixed-length fields.
+	 * @member {?number}
+	 */
+	this.length = fieldObj.LENGTH ? Number(fieldObj.LENGTH) : null;
+
+	/**
+	 * The collation of character data in the data file, if specified.
+	 * @member {?string}
+	 */
+	this.collation = fieldObj.COLLATION || null;
+
+	/**
+	 * The position of the field's column in the table (1-based), or 0 if the field isn't loaded into a column.
+	 * @member {number}
+	 */
+	this.columnOrder = 0;
+
+	/**
+	 * Where an import gets the field's value from each row: the name of a property, or a function(row) which returns
+	 * the value. Null means the property named after the field. See Bcp#prepareBulkInsert.
+	 * @member {?(string|function(object):*)}
+	 */
+	this.source = null;
+
+	/**
+	 * The value an import uses when a row's value is undefined. See Bcp#prepareBulkInsert.
+	 * @member {*}
+	 */
+	this.defaultValue = undefined;
+
 	for (var i = 0; i < columns.length; i++)
 	{
-		if (columns[i].SOURCE === id)
+		if (String(columns[i].SOURCE) === String(id))
 		{
 			this.column = columns[i];
+			this.columnOrder = this.column.ORDER !== undefined ? Number(this.column.ORDER) : i + 1;
 			this.name = this.column.NAME;
 			this.type = this.column['xsi:type'];
 			break;
 		}
 	}
+
+	/**
+	 * The data type used for the field in the data file. SQLCHAR and SQLNCHAR mean the value is stored as text.
+	 * Anything else means the value is stored in the native binary format of that type.
+	 * @member {string}
+	 */
+	this.hostType = getHostType(fieldObj['xsi:type'], this.type);
 }
 
 /* -------------------------------------------------------------------
  * Public Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Creates a copy of the field which can be modified without affecting the original.
+ * @return {Field}
+ */
+Field.prototype.clone = function ()
+{
+	var copy = Object.create(Field.prototype);
+	for (var key in this)
+	{
+		if (this.hasOwnProperty(key))
+			copy[key] = this[key];
+	}
+
+	copy.attributes = shallowCopy(this.attributes);
+	copy.column = this.column ? shallowCopy(this.column) : null;
+	return copy;
+};
+
 Field.prototype.setSourceIndex = function (index)
 {
 	var id = String(index + 1);
@@ -60,6 +123,35 @@ Field.prototype.setSourceIndex = function (index)
  * Private Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * @param fieldType {string} The xsi:type of an XML FIELD element (e.g. "NCharTerm" or "NativePrefix"), or the host file
+ * data type of a non-XML field (e.g. "SQLNCHAR" or "SQLINT").
+ * @param columnType {string}
+ * @return {string}
+ */
+function getHostType (fieldType, columnType)
+{
+	if (/^NChar/.test(fieldType))
+		return 'SQLNCHAR';
+
+	if (/^Char/.test(fieldType))
+		return 'SQLCHAR';
+
+	if (/^Native/.test(fieldType))
+		return columnType;
+
+	return fieldType;
+}
+
+function shallowCopy (obj)
+{
+	var copy = {};
+	for (var key in obj)
+		copy[key] = obj[key];
+
+	return copy;
+}
+
 function decodeTerminator (term, wide)
 {
 	// jump through some hoops to decode the terminator properly
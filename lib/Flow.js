@@ -0,0 +1,147 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+//
+
+/* =============================================================================
+ *
+ * Flow - Minimal async control flows. Errors are passed to the final callback
+ * exactly as they were received, so callers always get real Error instances.
+ *
+ * ========================================================================== */
+
+var Flow = module.exports;
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Calls method(cb, item, index) for every item in parallel. The callback receives the first error (if any) and an
+ * array of results once every method has completed.
+ * @param arr {Array}
+ * @param method {function}
+ * @param callback {function(Error, Array)}
+ */
+Flow.map = function (arr, method, callback)
+{
+	var results = new Array(arr.length);
+	var waiting = arr.length;
+	var firstError = null;
+
+	if (waiting === 0)
+	{
+		setImmediate(callback, null, results);
+		return;
+	}
+
+	arr.forEach(function (item, i)
+	{
+		method(once(function (error, result)
+		{
+			if (error && !firstError)
+				firstError = error;
+
+			results[i] = result;
+			waiting--;
+			if (waiting === 0)
+				callback(firstError, results);
+		}), item, i);
+	});
+};
+
+/**
+ * Calls method with args plus a node-style callback and returns a Promise for the result. If mapResults is provided,
+ * it is called with all of the callback's result arguments and its return value is used to resolve the promise.
+ * Otherwise the promise resolves with the first result. If method returns a Job, the promise gets a cancel() method
+ * which cancels it.
+ * @param thisArg {*}
+ * @param method {function}
+ * @param args {Array}
+ * @param [mapResults] {function}
+ * @return {Promise}
+ */
+Flow.promise = function (thisArg, method, args, mapResults)
+{
+	var job = null;
+	var promise = new Promise(function (resolve, reject)
+	{
+		job = method.apply(thisArg, args.concat(function (error)
+		{
+			if (error)
+			{
+				reject(error);
+				return;
+			}
+
+			var results = Array.prototype.slice.call(arguments, 1);
+			resolve(mapResults ? mapResults.apply(null, results) : results[0]);
+		}));
+	});
+
+	if (job && typeof job.cancel === 'function')
+		promise.cancel = function () { job.cancel(); };
+
+	return promise;
+};
+
+/**
+ * Runs methods in series. Each method is called as method(cb, ...results of the previous method). Calling cb with an
+ * error, or calling cb.break(), skips the remaining methods. The final callback receives the error (or null) followed
+ * by the results of the last method.
+ * @param methods {function[]}
+ * @param callback {function}
+ */
+Flow.waterfall = function (methods, callback)
+{
+	var i = 0;
+
+	function next (args)
+	{
+		var method = methods[i++];
+		var cb = once(function (error)
+		{
+			var results = Array.prototype.slice.call(arguments, 1);
+			// always continue asynchronously so synchronous methods can't grow the stack
+			setImmediate(function ()
+			{
+				if (error || i >= methods.length)
+					callback.apply(null, [ error || null ].concat(results));
+				else
+					next(results);
+			});
+		});
+
+		cb.break = function (error)
+		{
+			i = methods.length;
+			cb(error);
+		};
+
+		method.apply(null, [ cb ].concat(args));
+	}
+
+	if (methods.length === 0)
+		setImmediate(callback, null);
+	else
+		next([]);
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function once (fn)
+{
+	var called = false;
+	return function ()
+	{
+		if (called)
+			return;
+
+		called = true;
+		fn.apply(this, arguments);
+	};
+}
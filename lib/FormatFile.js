@@ -4,15 +4,105 @@
  * ---------------------------------------------------------------- */
 
 var Field = require('./Field');
+var Flow = require('./Flow');
 var Fs = require('fs');
+var Native = require('./Native');
 var Xml2Js = require('xml2js');
 
 /* =============================================================================
  *
- * FormatFile - Abstracts interactions with non-xml bcp format files.
+ * FormatFile - Abstracts interactions with XML and non-XML bcp format files.
  *
  * ========================================================================== */
 
+var XML_ROOT_ATTRIBUTES = {
+	xmlns: 'http://schemas.microsoft.com/sqlserver/2004/bulkload/format',
+	'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+/**
+ * SQL Server type names mapped to the bcp column types used in format files.
+ */
+var SQL_TYPES = {
+	bigint: 'SQLBIGINT',
+	binary: 'SQLBINARY',
+	bit: 'SQLBIT',
+	char: 'SQLCHAR',
+	date: 'SQLDATE',
+	datetime: 'SQLDATETIME',
+	datetime2: 'SQLDATETIME2',
+	datetimeoffset: 'SQLDATETIMEOFFSET',
+	decimal: 'SQLDECIMAL',
+	float: 'SQLFLT8',
+	image: 'SQLIMAGE',
+	int: 'SQLINT',
+	money: 'SQLMONEY',
+	nchar: 'SQLNCHAR',
+	ntext: 'SQLNTEXT',
+	numeric: 'SQLNUMERIC',
+	nvarchar: 'SQLNVARCHAR',
+	real: 'SQLFLT4',
+	smalldatetime: 'SQLDATETIM4',
+	smallint: 'SQLSMALLINT',
+	smallmoney: 'SQLMONEY4',
+	text: 'SQLTEXT',
+	time: 'SQLTIME',
+	tinyint: 'SQLTINYINT',
+	uniqueidentifier: 'SQLUNIQUEID',
+	varbinary: 'SQLVARYBIN',
+	varchar: 'SQLVARYCHAR'
+};
+
+/**
+ * SQL Server types which bcp has no column type for, mapped to the type they are copied as, and the length used when a
+ * column definition doesn't provide one. CLR types are copied as their binary serialization.
+ */
+var SQL_TYPE_ALIASES = {
+	geography: { type: 'SQLVARYBIN', length: 'max' },
+	geometry: { type: 'SQLVARYBIN', length: 'max' },
+	hierarchyid: { type: 'SQLVARYBIN', length: 'max' },
+	rowversion: { type: 'SQLBINARY', length: 8 },
+	sql_variant: { type: 'SQLNVARCHAR', length: 'max' },
+	sysname: { type: 'SQLNVARCHAR', length: 128 },
+	timestamp: { type: 'SQLBINARY', length: 8 },
+	xml: { type: 'SQLNVARCHAR', length: 'max' }
+};
+
+/**
+ * size: the byte length of fixed size types in native format. chars: "wide" or "narrow" for character types. binary:
+ * true for binary types.
+ * length: the default length when a column definition doesn't provide one (matching SQL Server's defaults).
+ */
+var SQL_TYPE_INFO = {
+	SQLBIGINT: { size: 8 },
+	SQLBINARY: { binary: true, length: 1 },
+	SQLBIT: { size: 1 },
+	SQLCHAR: { chars: 'narrow', length: 1 },
+	SQLDATE: { size: 3 },
+	SQLDATETIM4: { size: 4 },
+	SQLDATETIME: { size: 8 },
+	SQLDATETIME2: { size: 8 },
+	SQLDATETIMEOFFSET: { size: 10 },
+	SQLDECIMAL: { size: 19 },
+	SQLFLT4: { size: 4 },
+	SQLFLT8: { size: 8 },
+	SQLIMAGE: { binary: true },
+	SQLINT: { size: 4 },
+	SQLMONEY: { size: 8 },
+	SQLMONEY4: { size: 4 },
+	SQLNCHAR: { chars: 'wide', length: 1 },
+	SQLNTEXT: { chars: 'wide' },
+	SQLNUMERIC: { size: 19 },
+	SQLNVARCHAR: { chars: 'wide', length: 1 },
+	SQLSMALLINT: { size: 2 },
+	SQLTEXT: { chars: 'narrow' },
+	SQLTIME: { size: 5 },
+	SQLTINYINT: { size: 1 },
+	SQLUNIQUEID: { size: 16 },
+	SQLVARYBIN: { binary: true, length: 1 },
+	SQLVARYCHAR: { chars: 'narrow', length: 1 }
+};
+
 module.exports = FormatFile;
 
 function FormatFile (filename, isXml, obj)
@@ -27,12 +117,10 @@ function FormatFile (filename, isXml, obj)
 
 FormatFile.prototype.fromXml = function(xmlObj)
 {
+	this.isXml = true;
 	this.xmlOptions = { xmldec: { encoding: null, standalone: null } };
 	this.root = 'BCPFORMAT';
-	this.rootAttributes = {
-		xmlns: 'http://schemas.microsoft.com/sqlserver/2004/bulkload/format',
-		'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
-	};
+	this.rootAttributes = xmlObj.BCPFORMAT.$ || XML_ROOT_ATTRIBUTES;
 
 	this.encoding = 'ascii';
 	this.fields = [];
@@ -46,10 +134,14 @@ FormatFile.prototype.fromXml = function(xmlObj)
 
 	if (fields[0] && fields[0]['xsi:type'] === 'NCharTerm')
 		this.encoding = 'ucs2';
+
+	this.native = isNative(this.fields);
 }
 
 FormatFile.prototype.fromNonXml = function(formatObj)
 {
+	this.isXml = false;
+	this.version = formatObj.version;
 	this.encoding = 'ascii';
 	this.fields = [];
 
@@ -57,12 +149,132 @@ FormatFile.prototype.fromNonXml = function(formatObj)
 	{
 		this.fields.push(new Field(formatObj.fields[i], formatObj.columns));
 	}
+
+	if (this.fields[0] && this.fields[0].hostType === 'SQLNCHAR' && this.fields[0].terminator)
+		this.encoding = 'ucs2';
+
+	this.native = isNative(this.fields);
 }
 
 /* -------------------------------------------------------------------
  * Public Static Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Builds a format file from column definitions, without asking bcp (or SQL Server) for one. Each column is an object:
+ *
+ *     {
+ *         name: 'Created',        // required
+ *         type: 'datetime',       // SQL Server type name (e.g. 'nvarchar') or bcp type name (e.g. 'SQLNVARCHAR')
+ *         length: 50,             // max length in characters (or bytes for binary types). 'max' for (n)varchar(max)
+ *         precision: 18,          // decimal/numeric only
+ *         scale: 2,               // decimal/numeric only
+ *         nullable: true,         // default true
+ *         collation: '...',       // optional
+ *         terminator: '\t'        // optional, overrides options.fieldTerminator/rowTerminator for this column
+ *     }
+ *
+ * The columns must be listed in table order. The returned FormatFile has no filename until it is saved. Throws if
+ * options.native is set and a column is a date, time, datetime2 or datetimeoffset (see Native.checkFields).
+ *
+ * @param columns {object[]}
+ * @param [options] {{ unicode: boolean, native: boolean, fieldTerminator: string, rowTerminator: string }}
+ * @return {FormatFile}
+ */
+FormatFile.fromColumns = function (columns, options)
+{
+	options = options || {};
+	var unicode = 'unicode' in options ? !!options.unicode : true;
+	var fieldTerminator = options.fieldTerminator || '\t';
+	var rowTerminator = options.rowTerminator || '\n';
+
+	var fields = [];
+	var cols = [];
+	var col, alias, type, info, id, field, column, length;
+
+	for (var i = 0; i < columns.length; i++)
+	{
+		col = columns[i];
+		if (!col || !col.name)
+			throw new Error('Column ' + (i + 1) + ' must have a name.');
+
+		alias = SQL_TYPE_ALIASES[String(col.type || '').toLowerCase()];
+		type = alias ? alias.type : getSqlType(col.type);
+		info = SQL_TYPE_INFO[type];
+		id = String(i + 1);
+
+		// null means (n)varchar(max), varbinary(max), text, etc.
+		length = col.length === undefined && alias ? alias.length : col.length;
+		length = length === 'max' || length === -1 ? null : Number(length) || info.length || null;
+
+		field = { ID: id };
+		if (options.native)
+		{
+			if (info.size)
+			{
+				// nullable fixed size values need a prefix so bcp can tell a null apart from a value
+				if (col.nullable === false)
+				{
+					field['xsi:type'] = 'NativeFixed';
+					field.LENGTH = String(info.size);
+				}
+				else
+				{
+					field['xsi:type'] = 'NativePrefix';
+					field.PREFIX_LENGTH = '1';
+					field.MAX_LENGTH = String(info.size);
+				}
+			}
+			else
+			{
+				field['xsi:type'] = info.chars === 'wide' ? 'NCharPrefix' : info.chars ? 'CharPrefix' : 'NativePrefix';
+				field.PREFIX_LENGTH = length ? '2' : '8';
+				if (length)
+					field.MAX_LENGTH = String(info.chars === 'wide' ? length * 2 : length);
+			}
+		}
+		else
+		{
+			field['xsi:type'] = unicode ? 'NCharTerm' : 'CharTerm';
+			field.TERMINATOR = encodeTerminator(col.terminator || (i === columns.length - 1 ? rowTerminator : fieldTerminator), unicode);
+			if (info.chars && length)
+				field.MAX_LENGTH = String(unicode ? length * 2 : length);
+			else if (info.binary && length)
+				field.MAX_LENGTH = String(unicode ? length * 4 : length * 2); // binary data is written as hex
+		}
+
+		if (col.collation)
+			field.COLLATION = String(col.collation);
+
+		column = { SOURCE: id, NAME: String(col.name), 'xsi:type': type };
+		if (col.nullable !== undefined)
+			column.NULLABLE = col.nullable ? 'YES' : 'NO';
+
+		if (col.precision !== undefined)
+			column.PRECISION = String(col.precision);
+
+		if (col.scale !== undefined)
+			column.SCALE = String(col.scale);
+
+		fields.push({ $: field });
+		cols.push({ $: column });
+	}
+
+	var format = new FormatFile(null, true, {
+		BCPFORMAT: {
+			$: XML_ROOT_ATTRIBUTES,
+			RECORD: [ { FIELD: fields } ],
+			ROW: [ { COLUMN: cols } ]
+		}
+	});
+
+	var error = options.native ? Native.checkFields(format.fields) : null;
+	if (error)
+		throw error;
+
+	return format;
+};
+
 FormatFile.fromFile = function (filename, useXml, callback)
 {
 	Fs.readFile(filename, { encoding: useXml ? 'ucs2' : 'ascii' }, function (error, data)
@@ -99,7 +311,143 @@ FormatFile.fromFile = function (filename, useXml, callback)
  * Public Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
-// code
+/**
+ * Creates a deep copy of the format file which can be modified without affecting the original.
+ * @return {FormatFile}
+ */
+FormatFile.prototype.clone = function ()
+{
+	var copy = Object.create(FormatFile.prototype);
+	for (var key in this)
+	{
+		if (this.hasOwnProperty(key))
+			copy[key] = this[key];
+	}
+
+	copy.fields = this.fields.map(function (f) { return f.clone(); });
+	return copy;
+};
+
+/**
+ * Writes the format file to disk, as XML if it was loaded from XML, otherwise as non-XML. If filename is omitted,
+ * the file it was loaded from is overwritten. Returns a Promise if no callback is provided.
+ * @param [filename] {string}
+ * @param [callback]
+ * @return {Promise|undefined}
+ */
+FormatFile.prototype.save = function (filename, callback)
+{
+	if (typeof filename === 'function')
+	{
+		callback = filename;
+		filename = null;
+	}
+
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.save, [ filename ]);
+
+	filename = filename || this.filename;
+
+	var data;
+	try
+	{
+		// bcp writes XML format files as UTF-16, so do the same (with a BOM so the encoding can be detected)
+		data = this.isXml ? Buffer.from('\ufeff' + this.toXml(), 'ucs2') : Buffer.from(this.toNonXml(), 'ascii');
+	}
+	catch (ex)
+	{
+		setImmediate(callback, ex);
+		return;
+	}
+
+	var _this = this;
+	Fs.writeFile(filename, data, function (error)
+	{
+		if (!error)
+			_this.filename = filename;
+
+		callback(error || null);
+	});
+};
+
+/**
+ * Serializes the format file in the non-XML format. Fields are written in the order of this.fields and renumbered
+ * accordingly.
+ * @param [version] {string} The bcp version on the first line. Defaults to the version the file was loaded with.
+ * @return {string}
+ */
+FormatFile.prototype.toNonXml = function (version)
+{
+	var lines = [ String(version || this.version || '10.0'), String(this.fields.length) ];
+	var f, wide;
+
+	for (var i = 0; i < this.fields.length; i++)
+	{
+		f = this.fields[i];
+		wide = f.hostType === 'SQLNCHAR';
+		lines.push([
+			pad(i + 1, 8),
+			pad(f.hostType, 20),
+			pad(f.prefixLength, 8),
+			pad(f.length || f.maxLength || 0, 8),
+			pad('"' + encodeTerminator(f.terminator || '', wide) + '"', 24),
+			pad(f.column ? f.columnOrder : 0, 6),
+			pad(f.name || '', 30),
+			f.collation || '""'
+		].join(''));
+	}
+
+	return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Serializes the format file as XML. Fields are written in the order of this.fields and renumbered accordingly.
+ * Columns are written in their table order.
+ * @return {string}
+ */
+FormatFile.prototype.toXml = function ()
+{
+	var fieldElements = [];
+	var columns = [];
+	var f, attrs;
+
+	for (var i = 0; i < this.fields.length; i++)
+	{
+		f = this.fields[i];
+		attrs = { ID: String(i + 1), 'xsi:type': getXmlFieldType(f) };
+
+		if (f.prefixLength)
+			attrs.PREFIX_LENGTH = String(f.prefixLength);
+
+		if (/Fixed$/.test(attrs['xsi:type']))
+			attrs.LENGTH = String(f.length || f.maxLength);
+
+		if (f.terminator)
+			attrs.TERMINATOR = encodeTerminator(f.terminator, /^NChar/.test(attrs['xsi:type']));
+
+		if (f.maxLength && !attrs.LENGTH)
+			attrs.MAX_LENGTH = String(f.maxLength);
+
+		if (f.collation)
+			attrs.COLLATION = f.collation;
+
+		fieldElements.push({ $: attrs });
+
+		if (f.column)
+			columns.push({ order: f.columnOrder, attrs: getXmlColumnAttributes(f, i) });
+	}
+
+	columns.sort(function (a, b) { return a.order - b.order; });
+
+	var root = {};
+	root[this.root || 'BCPFORMAT'] = {
+		$: this.rootAttributes || XML_ROOT_ATTRIBUTES,
+		RECORD: { FIELD: fieldElements },
+		ROW: { COLUMN: columns.map(function (c) { return { $: c.attrs }; }) }
+	};
+
+	return new Xml2Js.Builder(this.xmlOptions || { xmldec: { encoding: null, standalone: null } }).buildObject(root);
+};
 
 /* -------------------------------------------------------------------
  * Private Methods << Keep in alphabetical order >>
@@ -111,20 +459,127 @@ function decodeTerminator(t)
 			.replace(/(.)\\0/g, "$1"); // remove ucs2 \0
 }
 
+/**
+ * Escapes a terminator the way bcp writes them in format files. Wide terminators are written as the escaped bytes of
+ * their UTF-16 encoding (e.g. "\t\0").
+ * @param term {string}
+ * @param wide {boolean}
+ * @return {string}
+ */
+function encodeTerminator (term, wide)
+{
+	var bytes = Buffer.from(term, wide ? 'ucs2' : 'latin1');
+	var result = '';
+	for (var i = 0; i < bytes.length; i++)
+	{
+		switch (bytes[i])
+		{
+			case 0: result += '\\0'; break;
+			case 9: result += '\\t'; break;
+			case 10: result += '\\n'; break;
+			case 13: result += '\\r'; break;
+			case 34: result += '\\"'; break;
+			case 92: result += '\\\\'; break;
+			default: result += String.fromCharCode(bytes[i]);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * @param type {string} A SQL Server type name (e.g. "nvarchar") or bcp type name (e.g. "SQLNVARCHAR").
+ * @return {string} The bcp type name.
+ */
+function getSqlType (type)
+{
+	var name = String(type || '');
+	if (SQL_TYPE_INFO.hasOwnProperty(name.toUpperCase()))
+		return name.toUpperCase();
+
+	name = name.toLowerCase();
+	if (SQL_TYPES.hasOwnProperty(name))
+		return SQL_TYPES[name];
+
+	throw new Error('Unknown column type "' + type + '".');
+}
+
+/**
+ * @param field {Field}
+ * @param index {number}
+ * @return {object}
+ */
+function getXmlColumnAttributes (field, index)
+{
+	var attrs = {};
+	for (var key in field.column)
+	{
+		if (key !== 'ORDER')
+			attrs[key] = String(field.column[key]);
+	}
+
+	attrs.SOURCE = String(index + 1);
+	attrs.NAME = field.name;
+	if (field.type)
+		attrs['xsi:type'] = field.type;
+
+	return attrs;
+}
+
+/**
+ * @param field {Field}
+ * @return {string}
+ */
+function getXmlFieldType (field)
+{
+	var kind;
+	if (field.hostType === 'SQLNCHAR')
+		kind = 'NChar';
+	else if (field.hostType === 'SQLCHAR')
+		kind = 'Char';
+	else
+		return field.prefixLength ? 'NativePrefix' : 'NativeFixed';
+
+	if (field.terminator)
+		return kind + 'Term';
+
+	return kind + (field.prefixLength ? 'Prefix' : 'Fixed');
+}
+
+/**
+ * A format is native (binary) if any of its fields are delimited by a length or prefix instead of a terminator.
+ * @param fields {Field[]}
+ * @return {boolean}
+ */
+function isNative (fields)
+{
+	return fields.some(function (f) { return !f.terminator; });
+}
+
+function pad (value, width)
+{
+	value = String(value);
+	while (value.length < width)
+		value += ' ';
+
+	return value + (value.length > width ? ' ' : '');
+}
+
 function parseNonXmlFormatFile(data)
 {
-	var formatObj = { columns: [], fields: [] };
+	var formatObj = { version: null, columns: [], fields: [] };
 
 	function invalid(msg)
 	{
-		return { error: 'Cannot parse non-XML file: ' + msg };
+		return { error: new Error('Cannot parse non-XML file: ' + msg) };
 	}
 
-	var lines = data.split("\n");
+	var lines = data.split(/\r?\n/);
 
 	if (lines.length <= 2)
 		return invalid('File must contain at least 2 lines');
 
+	formatObj.version = lines[0].trim();
 	var numColumns = parseInt(lines[1]);
 
 	if (isNaN(numColumns))
@@ -142,25 +597,30 @@ function parseNonXmlFormatFile(data)
 		var field = {};
 
 		field['MAX_LENGTH'] = parseInt(parts[3]);
+		field['LENGTH'] = parseInt(parts[3]);
+		field['PREFIX_LENGTH'] = parseInt(parts[2]);
 		field['TERMINATOR'] = decodeTerminator(parts[4]);
 		field['xsi:type'] = parts[1];
 		field['ID'] = parseInt(parts[0]);
-		// prefix length unused
+		field['COLLATION'] = parts[7].replace(/^"(.*)"$/, '$1');
 
 		if (isNaN(field['MAX_LENGTH']) || isNaN(field['ID']))
 			return invalid('Cannot field column on line ' + (i + 1) + ': integer value expected');
 
 		var column = { }
 
-		column['SOURCE'] = parseInt(parts[5]);
+		column['SOURCE'] = field['ID'];
+		column['ORDER'] = parseInt(parts[5]); // the server column order (0 means the field isn't loaded into a column)
 		column['NAME'] = parts[6];
-		column['xsi:type'] = parts[7];
+		// non-XML format files don't contain the SQL type of the column, so the host file data type is the best we have
+		column['xsi:type'] = parts[1];
 
-		if (isNaN(column['SOURCE']))
+		if (isNaN(column['ORDER']))
 			return invalid('Cannot read column on line ' + (i + 1) + ': integer value expected');
 
 		formatObj.fields.push(field);
-		formatObj.columns.push(column);
+		if (column['ORDER'] !== 0)
+			formatObj.columns.push(column);
 	}
 
 	return formatObj;
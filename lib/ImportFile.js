@@ -3,20 +3,33 @@
  * Require Statements << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
-var Athena = require('odyssey').athena;
+var DateTime = require('./DateTime');
 var debug = require('neo-debug')('bcp:');
+var Flow = require('./Flow');
 var Fs = require('fs');
+var Job = require('./Job');
+var Native = require('./Native');
+var Types = require('./Types');
+var Util = require('util');
+var Validate = require('./Validate');
+var Writable = require('stream').Writable;
 
 /* =============================================================================
  *
- * Class_OR_Section_Name
+ * ImportFile - A data file which rows are written to before being bulk inserted.
+ * Also acts as an object-mode Writable stream of row objects.
  *
  * ========================================================================== */
 
 var NUL = String.fromCharCode(0);
 
+// types which would lose precision if a Number was written in exponent notation
+var EXACT_TYPES = [ 'SQLBIGINT', 'SQLDECIMAL', 'SQLNUMERIC', 'SQLMONEY', 'SQLMONEY4' ];
+
 module.exports = ImportFile;
 
+Util.inherits(ImportFile, Writable);
+
 /**
  * @param bcp {Bcp}
  * @param format {FormatFile}
@@ -27,6 +40,8 @@ module.exports = ImportFile;
  */
 function ImportFile (bcp, format, table, filename, encoding)
 {
+	Writable.call(this, { objectMode: true });
+
 	/* -------------------------------------------------------------------
 	 * Private Members Declaration << no methods >>
 	 * ---------------------------------------------------------------- */
@@ -38,20 +53,143 @@ function ImportFile (bcp, format, table, filename, encoding)
 	this.encoding = encoding;
 	this.writeStream = Fs.createWriteStream(filename);
 	this.endedError = false;
+
+	// the Job of the bulk insert once execute() has been called, so destroying the stream can cancel it
+	this._job = null;
+
+	// the number of rows written to the file so far
+	this.rowCount = 0;
+
+	// the number of bytes written to the file so far
+	this.byteCount = 0;
+
+	// the number of rows passed to writeRows so far (including invalid rows which were skipped), used to report which
+	// row a bad value was in
+	this.rowIndex = 0;
 }
 
 /* -------------------------------------------------------------------
  * Public Members Declaration << no methods >>
  * ---------------------------------------------------------------- */
 
-// code
+/**
+ * Options passed to execute() when the ImportFile is used as a Writable stream and the stream finishes.
+ * @member {object}
+ */
+ImportFile.prototype.executeOptions = null;
+
+/**
+ * The details of the bulk insert (see Bcp#bulkInsert) once execute() has completed successfully.
+ * @member {object}
+ */
+ImportFile.prototype.details = null;
+
+/**
+ * Invalid rows which were skipped when strict is "collect": { row: number, column: string, message: string, data:
+ * object }. row counts every row passed to writeRows, starting at 1. Null if no rows have been skipped.
+ * @member {?object[]}
+ */
+ImportFile.prototype.invalidRows = null;
+
+/**
+ * Validates every row against the format file before writing it (see writeRows). false (default) disables
+ * validation, true throws on the first invalid row, and "collect" skips invalid rows and adds them to invalidRows.
+ * @member {boolean|string}
+ */
+ImportFile.prototype.strict = false;
 
 /* -------------------------------------------------------------------
  * Public Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Writable implementation. If the stream is destroyed before the bulk insert starts (e.g. a pipeline failed), the data
+ * file is closed, and it and the format file are deleted unless executeOptions.keepFiles is set. If the insert is
+ * running, it is cancelled instead (see execute).
+ */
+ImportFile.prototype._destroy = function (error, callback)
+{
+	if (this._job)
+	{
+		// has no effect once the insert has finished
+		this._job.cancel();
+		callback(error);
+		return;
+	}
+
+	if (this.endedError === false)
+		this.endedError = new Error('The ImportFile was destroyed before it was saved.');
+
+	var files = this.executeOptions && this.executeOptions.keepFiles ? [] : [ this.filename, this.format.filename ];
+	closeStream(this.writeStream, function ()
+	{
+		Flow.map(
+			files.filter(Boolean),
+			function (cb, file) { Fs.unlink(file, function () { cb(); }); },
+			function ()
+			{
+				callback(error);
+			}
+		);
+	});
+};
+
+/**
+ * Writable implementation. Once all rows have been written, the bulk insert is executed using this.executeOptions,
+ * so the stream's "finish" event (or pipeline callback) fires after the insert completes.
+ */
+ImportFile.prototype._final = function (callback)
+{
+	this.execute(this.executeOptions, callback);
+};
+
+ImportFile.prototype._write = function (row, encoding, callback)
+{
+	var flushed;
+	try
+	{
+		flushed = this.writeRows([ row ]);
+	}
+	catch (ex)
+	{
+		callback(ex);
+		return;
+	}
+
+	if (flushed)
+	{
+		callback();
+		return;
+	}
+
+	// wait for the file stream to drain so that rows aren't buffered in memory faster than they can be written
+	var writeStream = this.writeStream;
+	writeStream.once('drain', onDrain);
+	writeStream.once('error', onError);
+
+	function onDrain ()
+	{
+		writeStream.removeListener('error', onError);
+		callback();
+	}
+
+	function onError (error)
+	{
+		writeStream.removeListener('drain', onDrain);
+		callback(error);
+	}
+};
+
+/**
+ * Deletes the data file without executing the bulk insert. Returns a Promise if no callback is provided.
+ * @param [callback]
+ * @return {Promise|undefined}
+ */
 ImportFile.prototype.cancel = function (callback)
 {
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.cancel, []);
+
 	var _this = this;
 	this.save(function ()
 	{
@@ -60,6 +198,14 @@ ImportFile.prototype.cancel = function (callback)
 	});
 };
 
+/**
+ * Saves the data file and bulk inserts it. The callback receives the details of the insert (see Bcp#bulkInsert).
+ * The returned Job (or Promise) can be used to cancel the insert, as can options.signal. Returns a Promise if no
+ * callback is provided.
+ * @param [options] Options for Bcp#bulkInsert.
+ * @param [callback]
+ * @return {Job|Promise}
+ */
 ImportFile.prototype.execute = function (options, callback)
 {
 	if (typeof options === 'function')
@@ -68,21 +214,56 @@ ImportFile.prototype.execute = function (options, callback)
 		options = null;
 	}
 
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.execute, [ options ]);
+
+	// the insert doesn't start until the file is saved, so give it a signal which is cancelled along with this job
+	var job = new Job(options && options.signal);
+	this._job = job;
+	var insertOptions = {};
+	for (var key in options)
+		insertOptions[key] = options[key];
+
+	insertOptions.signal = job;
+
 	var _this = this;
 	this.save(function (error)
 	{
 		if (error)
 		{
+			job.finish();
 			callback(error);
 			return;
 		}
 
-		_this.bcp.bulkInsert(_this.filename, _this.format, _this.table, options, callback);
+		_this.bcp.bulkInsert(_this.filename, _this.format, _this.table, insertOptions, function (error, details)
+		{
+			job.finish();
+
+			if (error)
+			{
+				callback(error);
+				return;
+			}
+
+			_this.details = details;
+			callback(null, details);
+		});
 	});
+
+	return job;
 };
 
+/**
+ * Finishes writing the data file. Returns a Promise if no callback is provided.
+ * @param [callback]
+ * @return {Promise|undefined}
+ */
 ImportFile.prototype.save = function (callback)
 {
+	if (typeof callback !== 'function')
+		return Flow.promise(this, this.save, []);
+
 	if (this.endedError !== false)
 	{
 		setImmediate(callback, this.endedError);
@@ -97,39 +278,111 @@ ImportFile.prototype.save = function (callback)
 	});
 };
 
+/**
+ * Writes rows to the data file. Returns false if the underlying file stream is buffering, in which case the caller
+ * should wait for the "drain" event on importFile.writeStream before writing more rows.
+ *
+ * Throws if a value contains its field's terminator or the row terminator, since bcp would split the value and shift
+ * every column after it. If strict is set, each row is also validated against the format file: lengths, numbers,
+ * dates, NULLs in columns which aren't nullable, and properties which aren't columns in the import. The error has row
+ * (1-based, counting every row passed to writeRows) and column properties. None of the rows passed in the failing call
+ * are written. If strict is "collect", invalid rows are skipped and added to invalidRows instead.
+ * @param rows {object[]}
+ * @return {boolean}
+ */
 ImportFile.prototype.writeRows = function (rows)
 {
-	var data = '';
-	/** @type {Field[]} */
-	var fields = this.format.fields;
-	var fi, f;
-	var fLen = fields.length;
+	var types = this.bcp ? this.bcp.types : null;
+	var context = {
+		timezone: this.bcp ? this.bcp.timezone : null,
+		strict: this.strict,
+		codecs: this.format.fields.map(function (f)
+		{
+			var codec = Types.get(types, f.type);
+			return codec && codec.serialize ? codec : null;
+		})
+	};
+
+	var serialize = this.format.native ? nativeRowSerialize : rowSerialize;
+	var parts = [];
+	var invalid = [];
+	var rowNumber;
+
 	for (var i = 0; i < rows.length; i++)
 	{
-		for (fi = 0; fi < fLen; fi++)
+		rowNumber = this.rowIndex + i + 1;
+		try
+		{
+			parts.push(serialize(rows[i], this.format.fields, context, rowNumber));
+		}
+		catch (ex)
 		{
-			f = fields[fi];
-			if (f.inImport)
-				data += fieldSerialize(rows[i][f.name], f);
+			if (this.strict !== 'collect' || ex.row !== rowNumber)
+				throw ex;
 
-			data += f.terminator;
+			invalid.push({ row: rowNumber, column: ex.column, message: ex.message, data: rows[i] });
 		}
 	}
 
+	// nothing is recorded until every row in the call has been serialized
+	this.rowIndex += rows.length;
+	this.rowCount += parts.length;
+	if (invalid.length)
+		this.invalidRows = (this.invalidRows || []).concat(invalid);
+
+	if (this.format.native)
+	{
+		var buffer = Buffer.concat(parts);
+		this.byteCount += buffer.length;
+		return this.writeStream.write(buffer);
+	}
+
+	var data = parts.join('');
 	debug(data);
-	this.writeStream.write(data, this.encoding);
+	this.byteCount += Buffer.byteLength(data, this.encoding);
+	return this.writeStream.write(data, this.encoding);
 };
 
 /* -------------------------------------------------------------------
  * Private Methods << Keep in alphabetical order >>
  * ---------------------------------------------------------------- */
 
+/**
+ * Destroys a file stream, and calls back once its file descriptor has been closed.
+ * @param stream {WriteStream}
+ * @param callback {function()}
+ */
+function closeStream (stream, callback)
+{
+	if (stream.destroyed)
+	{
+		setImmediate(callback);
+		return;
+	}
+
+	stream.once('close', function () { callback(); });
+	stream.destroy();
+}
+
+/**
+ * Checks whether bcp would find the terminator before the end of a value. That includes a value which ends with the
+ * start of a multi-character terminator, e.g. "a|" followed by "||", where bcp finds the terminator one character early.
+ * @param val {string}
+ * @param term {string}
+ * @return {boolean}
+ */
+function containsTerminator (val, term)
+{
+	return (val + term).indexOf(term) !== val.length;
+}
+
 /**
  *
  * @param value {*}
  * @param field {Field}
+ * @param timezone {?string}
  */
-function fieldSerialize (value, field)
+function fieldSerialize (value, field, timezone)
 {
 	var val;
 	if (value === null || value === undefined)
@@ -144,11 +397,23 @@ function fieldSerialize (value, field)
 	}
 	else if (value instanceof Date)
 	{
-		val = value.toISOString();
-		val = val.substr(0, 10) + ' ' + val.substr(11, 12);
+		val = DateTime.format(value, field.type, field.column ? parseInt(field.column.SCALE, 10) : null, timezone);
+	}
+	else if (Buffer.isBuffer(value))
+	{
+		val = value.toString('hex').toUpperCase();
+	}
+	else if (typeof value === 'number' && EXACT_TYPES.indexOf(field.type) !== -1)
+	{
+		val = numberToString(value);
+	}
+	else if (field.type === 'SQLUNIQUEID')
+	{
+		val = String(value).replace(/^\{(.*)\}$/, '$1');
 	}
 	else
 	{
+		// strings, and BigInts which stringify without any loss
 		val = String(value);
 	}
 
@@ -157,3 +422,162 @@ function fieldSerialize (value, field)
 
 	return val;
 }
+
+/**
+ * Gets a row's value for a field, converted by the field's custom codec and validated if strict is set.
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param fi {number} The index of the field.
+ * @param context {{ codecs: Array, timezone: ?string, strict: boolean|string }}
+ * @param rowNumber {number}
+ * @return {*}
+ */
+function fieldValue (row, fields, fi, context, rowNumber)
+{
+	var f = fields[fi];
+	var value = typeof f.source === 'function' ? f.source(row) : row[f.source || f.name];
+	if (value === undefined)
+		value = f.defaultValue;
+
+	if (context.codecs[fi] && value !== null && value !== undefined)
+		value = context.codecs[fi].serialize(value, f);
+
+	if (context.strict)
+	{
+		var problem = Validate.value(value, f, context.timezone);
+		if (problem)
+			throw rowError(rowNumber, f.name, problem);
+	}
+
+	return value;
+}
+
+/**
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param context {{ codecs: Array, timezone: ?string, strict: boolean|string }}
+ * @param rowNumber {number}
+ * @return {Buffer}
+ */
+function nativeRowSerialize (row, fields, context, rowNumber)
+{
+	if (context.strict)
+		validateProperties(row, fields, rowNumber);
+
+	var buffers = new Array(fields.length);
+	var f;
+	for (var fi = 0; fi < fields.length; fi++)
+	{
+		f = fields[fi];
+		buffers[fi] = Native.writeField(f.inImport ? fieldValue(row, fields, fi, context, rowNumber) : null, f,
+			context.timezone);
+	}
+
+	return Buffer.concat(buffers);
+}
+
+/**
+ * Converts a Number to a string without exponent notation.
+ * @param n {number}
+ * @return {string}
+ */
+function numberToString (n)
+{
+	if (!isFinite(n) || Math.abs(n) >= 1e21)
+		return String(n);
+
+	var str = String(n);
+	if (str.indexOf('e') === -1)
+		return str;
+
+	// small numbers such as 1e-7
+	return n.toFixed(20).replace(/\.?0+$/, '');
+}
+
+/**
+ * @param rowNumber {number}
+ * @param column {string}
+ * @param message {string}
+ * @return {Error}
+ */
+function rowError (rowNumber, column, message)
+{
+	var error = new Error('Row ' + rowNumber + ' column "' + column + '" ' + message + '.');
+	error.row = rowNumber;
+	error.column = column;
+	return error;
+}
+
+/**
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param context {{ codecs: Array, timezone: ?string, strict: boolean|string }}
+ * @param rowNumber {number}
+ * @return {string}
+ */
+function rowSerialize (row, fields, context, rowNumber)
+{
+	if (context.strict)
+		validateProperties(row, fields, rowNumber);
+
+	var rowTerminator = fields[fields.length - 1].terminator;
+	var data = '';
+	var f, val;
+	for (var fi = 0; fi < fields.length; fi++)
+	{
+		f = fields[fi];
+		if (f.inImport)
+		{
+			val = fieldSerialize(fieldValue(row, fields, fi, context, rowNumber), f, context.timezone);
+			if (containsTerminator(val, f.terminator))
+				throw terminatorError(rowNumber, f, f.terminator);
+
+			if (containsTerminator(val, rowTerminator))
+				throw terminatorError(rowNumber, f, rowTerminator);
+
+			data += val;
+		}
+
+		data += f.terminator;
+	}
+
+	return data;
+}
+
+/**
+ * @param rowNumber {number}
+ * @param field {Field}
+ * @param terminator {string}
+ * @return {Error}
+ */
+function terminatorError (rowNumber, field, terminator)
+{
+	var error = rowError(rowNumber, field.name, 'contains the terminator ' + JSON.stringify(terminator) +
+		'. Choose terminators which are not found in the data, or use autoTerminators');
+
+	error.terminator = terminator;
+	return error;
+}
+
+/**
+ * Throws if the row has a property which isn't a column in the import. These are usually typos, which would otherwise
+ * silently leave the intended column NULL. Rows aren't checked if any column's value comes from a function, since
+ * there's no telling which properties it reads.
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param rowNumber {number}
+ */
+function validateProperties (row, fields, rowNumber)
+{
+	if (fields.some(function (f) { return f.inImport && typeof f.source === 'function'; }))
+		return;
+
+	for (var key in row)
+	{
+		if (!Object.prototype.hasOwnProperty.call(row, key))
+			continue;
+
+		if (!fields.some(function (f) { return f.inImport && (f.source || f.name) === key; }))
+			throw rowError(rowNumber, key, 'is not a column in the import');
+	}
+}
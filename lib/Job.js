@@ -0,0 +1,112 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var EventEmitter = require('events').EventEmitter;
+var Util = require('util');
+
+/* =============================================================================
+ *
+ * Job - Handle for a bulk operation which is returned by Bcp#bulkInsert,
+ * Bcp#bulkExport, Bcp#prepareBulkInsert and ImportFile#execute. Calling
+ * cancel() kills the running bcp process and fails the operation with an
+ * AbortError. A Job can be created from an AbortSignal, and can itself be
+ * passed as the signal of another operation, so cancelling it cancels both.
+ *
+ * Emits "cancel" when it is cancelled.
+ *
+ * ========================================================================== */
+
+module.exports = Job;
+
+Util.inherits(Job, EventEmitter);
+
+/**
+ * @param [signal] {AbortSignal|Job} The job is cancelled when the signal is aborted, or the Job is cancelled.
+ * @constructor
+ */
+function Job (signal)
+{
+	EventEmitter.call(this);
+
+	/* -------------------------------------------------------------------
+	 * Public Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	/**
+	 * True once the job has been cancelled.
+	 * @member {boolean}
+	 */
+	this.cancelled = false;
+
+	/* -------------------------------------------------------------------
+	 * Private Members Declaration << no methods >>
+	 * ---------------------------------------------------------------- */
+
+	// stops whatever the job is waiting on (the running bcp process, or the delay before a retry), or null
+	this.kill = null;
+
+	// reports progress (see Bcp#bulkInsert), or null
+	this.progress = null;
+
+	this._finished = false;
+	this._signal = null;
+	this._onAbort = null;
+
+	if (!signal)
+		return;
+
+	if (signal.aborted || signal.cancelled)
+	{
+		this.cancelled = true;
+		return;
+	}
+
+	var _this = this;
+	this._signal = signal;
+	this._onAbort = function () { _this.cancel(); };
+
+	if (signal instanceof Job)
+		signal.once('cancel', this._onAbort);
+	else
+		signal.addEventListener('abort', this._onAbort);
+}
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Cancels the operation. Has no effect once the operation has finished, or if it has already been cancelled.
+ */
+Job.prototype.cancel = function ()
+{
+	if (this.cancelled || this._finished)
+		return;
+
+	this.cancelled = true;
+	this.emit('cancel');
+
+	if (this.kill)
+		this.kill();
+};
+
+/**
+ * Stops listening to the signal. Called when the operation has finished.
+ */
+Job.prototype.finish = function ()
+{
+	this._finished = true;
+	this.kill = null;
+
+	if (!this._signal)
+		return;
+
+	if (this._signal instanceof Job)
+		this._signal.removeListener('cancel', this._onAbort);
+	else
+		this._signal.removeEventListener('abort', this._onAbort);
+
+	this._signal = null;
+};
@@ -0,0 +1,592 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var DateTime = require('./DateTime');
+
+/* =============================================================================
+ *
+ * Native - Encodes and decodes values in bcp's native (-n) data format.
+ *
+ * Each field is either preceded by a little-endian length prefix (where a
+ * length of -1 means NULL), has a fixed length, or is followed by a terminator.
+ * Values use the same binary representation as SQL Server itself.
+ *
+ * datetime values are wall clock times in the timezone passed to each method
+ * (see DateTime). They default to UTC. The date, time, datetime2 and
+ * datetimeoffset types are not supported (see checkFields).
+ *
+ * ========================================================================== */
+
+var Native = module.exports;
+
+var MS_PER_DAY = 86400000;
+var EPOCH_1900 = Date.UTC(1900, 0, 1);
+
+// types whose native representation isn't implemented, so their values could only be passed around as raw bytes
+var UNSUPPORTED_TYPES = [ 'SQLDATE', 'SQLDATETIME2', 'SQLDATETIMEOFFSET', 'SQLTIME' ];
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Checks that every field can be encoded and decoded. Returns an error naming the first field which can't, or null.
+ * @param fields {Field[]}
+ * @return {?Error}
+ */
+Native.checkFields = function (fields)
+{
+	for (var i = 0; i < fields.length; i++)
+	{
+		if (UNSUPPORTED_TYPES.indexOf(fields[i].hostType) !== -1)
+		{
+			return new Error('Column ' + fields[i].name + ' is a ' + fields[i].hostType + ', which is not supported in ' +
+				'native format. Use a character format (native: false) for date, time, datetime2 and datetimeoffset columns.');
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Converts the bytes of a single (non-null) value into its javascript representation.
+ * @param bytes {Buffer}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {*}
+ */
+Native.decode = function (bytes, field, timezone)
+{
+	var type = field.hostType;
+	var days, ms;
+
+	switch (getKind(type))
+	{
+		case 'ntext':
+			return bytes.toString('ucs2');
+		case 'text':
+			return bytes.toString('latin1');
+		case 'bit':
+			return bytes[0] !== 0;
+		case 'int':
+			switch (bytes.length)
+			{
+				case 1: return bytes.readUInt8(0);
+				case 2: return bytes.readInt16LE(0);
+				case 4: return bytes.readInt32LE(0);
+				// bigint is returned as a string since Number can't hold every value exactly
+				default: return readInt64(bytes, 0);
+			}
+		case 'float':
+			return bytes.length === 4 ? bytes.readFloatLE(0) : bytes.readDoubleLE(0);
+		case 'money':
+			if (bytes.length === 4)
+				return scaleDecimal(String(bytes.readInt32LE(0)), 4);
+
+			// money is stored as two 32-bit halves with the high half first
+			var swapped = Buffer.concat([ bytes.slice(4, 8), bytes.slice(0, 4) ]);
+			return scaleDecimal(readInt64(swapped, 0), 4);
+		case 'decimal':
+			// precision (1 byte), scale (1 byte), sign (1 byte, 1 = positive), 16 byte little-endian magnitude
+			var value = scaleDecimal(bytesToDecimal(bytes.slice(3, 19)), bytes[1]);
+			return bytes[2] === 1 || /^[0.]+$/.test(value) ? value : '-' + value;
+		case 'datetime':
+			if (bytes.length === 4)
+			{
+				days = bytes.readUInt16LE(0);
+				ms = EPOCH_1900 + days * MS_PER_DAY + bytes.readUInt16LE(2) * 60000;
+			}
+			else
+			{
+				days = bytes.readInt32LE(0);
+				ms = EPOCH_1900 + days * MS_PER_DAY + Math.round(bytes.readUInt32LE(4) * 10 / 3);
+			}
+
+			return new Date(DateTime.fromWallClock(ms, timezone));
+		case 'guid':
+			return guidFromBytes(bytes);
+		default:
+			return Buffer.from(bytes);
+	}
+};
+
+/**
+ * Converts a (non-null) javascript value into the bytes of the field's native representation.
+ * @param value {*}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {Buffer}
+ */
+Native.encode = function (value, field, timezone)
+{
+	var type = field.hostType;
+	var buf, ms, days;
+
+	switch (getKind(type))
+	{
+		case 'ntext':
+			return Buffer.from(value instanceof Date ? value.toISOString() : String(value), 'ucs2');
+		case 'text':
+			return Buffer.from(value instanceof Date ? value.toISOString() : String(value), 'latin1');
+		case 'bit':
+			return Buffer.from([ value && value !== '0' ? 1 : 0 ]);
+		case 'int':
+			buf = Buffer.alloc(intSize(type, field));
+			switch (buf.length)
+			{
+				case 1: buf.writeUInt8(Number(value), 0); break;
+				case 2: buf.writeInt16LE(Number(value), 0); break;
+				case 4: buf.writeInt32LE(Number(value), 0); break;
+				default: writeInt64(buf, decimalToInteger(value, 0), 0);
+			}
+			return buf;
+		case 'float':
+			buf = Buffer.alloc(type === 'SQLFLT4' ? 4 : 8);
+			if (buf.length === 4)
+				buf.writeFloatLE(Number(value), 0);
+			else
+				buf.writeDoubleLE(Number(value), 0);
+			return buf;
+		case 'money':
+			if (type === 'SQLMONEY4')
+			{
+				buf = Buffer.alloc(4);
+				buf.writeInt32LE(Number(decimalToInteger(value, 4)), 0);
+				return buf;
+			}
+
+			var tmp = Buffer.alloc(8);
+			writeInt64(tmp, decimalToInteger(value, 4), 0);
+			return Buffer.concat([ tmp.slice(4, 8), tmp.slice(0, 4) ]);
+		case 'decimal':
+			var column = field.column || {};
+			var str = String(value).trim();
+			var scale = column.SCALE !== undefined ? Number(column.SCALE) : countScale(str);
+			var integer = decimalToInteger(str, scale);
+			var negative = integer[0] === '-';
+			buf = Buffer.alloc(19);
+			buf[0] = column.PRECISION !== undefined ? Number(column.PRECISION) : 38;
+			buf[1] = scale;
+			buf[2] = negative ? 0 : 1;
+			decimalToBytes(negative ? integer.substr(1) : integer).copy(buf, 3);
+			return buf;
+		case 'datetime':
+			ms = value instanceof Date ? value.getTime() : new Date(value).getTime();
+			ms += DateTime.getOffset(ms, timezone) * 60000;
+			days = Math.floor((ms - EPOCH_1900) / MS_PER_DAY);
+			ms = ms - EPOCH_1900 - days * MS_PER_DAY;
+			if (type === 'SQLDATETIM4')
+			{
+				buf = Buffer.alloc(4);
+				buf.writeUInt16LE(days, 0);
+				buf.writeUInt16LE(Math.round(ms / 60000), 2);
+				return buf;
+			}
+
+			buf = Buffer.alloc(8);
+			buf.writeInt32LE(days, 0);
+			buf.writeUInt32LE(Math.round(ms * 3 / 10), 4);
+			return buf;
+		case 'guid':
+			return guidToBytes(String(value));
+		default:
+			if (Buffer.isBuffer(value))
+				return value;
+
+			throw new Error('Cannot encode a ' + typeof value + ' as native ' + type + ' for column ' + field.name +
+				'. Pass a Buffer.');
+	}
+};
+
+/**
+ * Reads one field starting at offset.
+ * @param buffer {Buffer}
+ * @param offset {number}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {?{ value: *, offset: number }} Null if the buffer does not contain the whole field yet.
+ */
+Native.readField = function (buffer, offset, field, timezone)
+{
+	var length = null;
+	var term = field.terminator ? terminatorBytes(field) : null;
+	var dex;
+
+	if (field.prefixLength)
+	{
+		if (buffer.length < offset + field.prefixLength)
+			return null;
+
+		length = readPrefix(buffer, offset, field.prefixLength);
+		offset += field.prefixLength;
+
+		if (length === -1)
+			return skipTerminator(buffer, offset, term, null);
+	}
+	else if (term)
+	{
+		dex = buffer.indexOf(term, offset);
+		if (dex === -1)
+			return null;
+
+		return { value: Native.decode(buffer.slice(offset, dex), field, timezone), offset: dex + term.length };
+	}
+	else
+	{
+		length = field.length;
+	}
+
+	if (buffer.length < offset + length)
+		return null;
+
+	var value = Native.decode(buffer.slice(offset, offset + length), field, timezone);
+	return skipTerminator(buffer, offset + length, term, value);
+};
+
+/**
+ * Encodes one field, including its length prefix or terminator.
+ * @param value {*}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {Buffer}
+ */
+Native.writeField = function (value, field, timezone)
+{
+	var parts = [];
+	var data = null;
+
+	if (value !== null && value !== undefined)
+		data = Native.encode(value, field, timezone);
+
+	if (field.prefixLength)
+	{
+		parts.push(writePrefix(data === null ? -1 : data.length, field.prefixLength));
+	}
+	else if (data === null)
+	{
+		if (!field.terminator && !field.inImport && field.length)
+		{
+			// columns which aren't part of the import (e.g. identity columns) still need their bytes in the file
+			data = Buffer.alloc(field.length);
+		}
+		else if (!field.terminator)
+		{
+			throw new Error('Column ' + field.name + ' cannot be NULL in the native format file.');
+		}
+	}
+
+	if (data !== null)
+		parts.push(data);
+
+	if (field.terminator)
+		parts.push(terminatorBytes(field));
+
+	return Buffer.concat(parts);
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Converts a little-endian unsigned integer into a decimal string.
+ * @param bytes {Buffer}
+ * @return {string}
+ */
+function bytesToDecimal (bytes)
+{
+	var words = [];
+	var i, remainder, digits = '';
+
+	// work in 16-bit words so intermediate values stay well within double precision
+	for (i = bytes.length - 2; i >= 0; i -= 2)
+		words.push(bytes[i] | (bytes[i + 1] << 8));
+
+	while (words.some(function (w) { return w !== 0; }))
+	{
+		remainder = 0;
+		for (i = 0; i < words.length; i++)
+		{
+			remainder = remainder * 65536 + words[i];
+			words[i] = Math.floor(remainder / 10);
+			remainder = remainder % 10;
+		}
+
+		digits = remainder + digits;
+	}
+
+	return digits || '0';
+}
+
+function countScale (str)
+{
+	var dex = str.indexOf('.');
+	return dex === -1 ? 0 : str.length - dex - 1;
+}
+
+/**
+ * Converts an unsigned decimal integer string into a 16 byte little-endian buffer.
+ * @param digits {string}
+ * @return {Buffer}
+ */
+function decimalToBytes (digits)
+{
+	var bytes = Buffer.alloc(16);
+	var carry, i, d;
+
+	for (d = 0; d < digits.length; d++)
+	{
+		carry = Number(digits[d]);
+		for (i = 0; i < bytes.length; i++)
+		{
+			carry += bytes[i] * 10;
+			bytes[i] = carry & 0xff;
+			carry = carry >>> 8;
+		}
+	}
+
+	return bytes;
+}
+
+/**
+ * Converts a decimal value into an integer string with the given number of implied decimal places. Extra decimal
+ * places are truncated.
+ * @param value {number|string}
+ * @param scale {number}
+ * @return {string}
+ */
+function decimalToInteger (value, scale)
+{
+	var str = typeof value === 'number' ? numberToString(value) : String(value).trim();
+	var match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(str);
+	if (!match)
+		throw new Error('Invalid numeric value: ' + str);
+
+	var frac = (match[3] || '') + new Array(scale + 1).join('0');
+	var digits = ((match[2] || '') + frac.substr(0, scale)).replace(/^0+(?=\d)/, '') || '0';
+
+	return (match[1] === '-' && /[1-9]/.test(digits) ? '-' : '') + digits;
+}
+
+/**
+ * @param type {string}
+ * @return {string}
+ */
+function getKind (type)
+{
+	switch (type)
+	{
+		case 'SQLNCHAR':
+		case 'SQLNVARCHAR':
+		case 'SQLNTEXT':
+		case 'SQLXML':
+			return 'ntext';
+		case 'SQLCHAR':
+		case 'SQLVARYCHAR':
+		case 'SQLBIGCHAR':
+		case 'SQLBIGVARCHAR':
+		case 'SQLTEXT':
+			return 'text';
+		case 'SQLBIT':
+			return 'bit';
+		case 'SQLTINYINT':
+		case 'SQLSMALLINT':
+		case 'SQLINT':
+		case 'SQLBIGINT':
+			return 'int';
+		case 'SQLFLT4':
+		case 'SQLFLT8':
+			return 'float';
+		case 'SQLMONEY':
+		case 'SQLMONEY4':
+			return 'money';
+		case 'SQLDECIMAL':
+		case 'SQLNUMERIC':
+			return 'decimal';
+		case 'SQLDATETIME':
+		case 'SQLDATETIM4':
+		case 'SQLDATETIM8':
+			return 'datetime';
+		case 'SQLUNIQUEID':
+			return 'guid';
+		default:
+			return 'binary';
+	}
+}
+
+function guidFromBytes (bytes)
+{
+	var hex = Buffer.concat([
+		Buffer.from(bytes.slice(0, 4)).reverse(),
+		Buffer.from(bytes.slice(4, 6)).reverse(),
+		Buffer.from(bytes.slice(6, 8)).reverse(),
+		bytes.slice(8, 16)
+	]).toString('hex').toUpperCase();
+
+	return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4) + '-' + hex.substr(16, 4) + '-' +
+		hex.substr(20);
+}
+
+function guidToBytes (guid)
+{
+	var hex = guid.replace(/[{}\-]/g, '');
+	if (!/^[0-9a-fA-F]{32}$/.test(hex))
+		throw new Error('Invalid uniqueidentifier: ' + guid);
+
+	var bytes = Buffer.from(hex, 'hex');
+	return Buffer.concat([
+		bytes.slice(0, 4).reverse(),
+		bytes.slice(4, 6).reverse(),
+		bytes.slice(6, 8).reverse(),
+		bytes.slice(8, 16)
+	]);
+}
+
+function intSize (type, field)
+{
+	switch (type)
+	{
+		case 'SQLTINYINT': return 1;
+		case 'SQLSMALLINT': return 2;
+		case 'SQLINT': return 4;
+		case 'SQLBIGINT': return 8;
+		default: return field.length || 4;
+	}
+}
+
+function numberToString (n)
+{
+	// avoid exponent notation for very large or small numbers
+	return Math.abs(n) < 1e21 ? n.toFixed(20).replace(/\.?0+$/, '') : String(n);
+}
+
+/**
+ * Reads a little-endian two's complement 64-bit integer as a decimal string.
+ * @param buffer {Buffer}
+ * @param offset {number}
+ * @return {string}
+ */
+function readInt64 (buffer, offset)
+{
+	var bytes = Buffer.from(buffer.slice(offset, offset + 8));
+	var negative = (bytes[7] & 0x80) !== 0;
+	if (negative)
+		twosComplement(bytes);
+
+	var digits = bytesToDecimal(bytes);
+	return negative ? '-' + digits : digits;
+}
+
+function readPrefix (buffer, offset, size)
+{
+	switch (size)
+	{
+		case 1:
+			return buffer[offset] === 0xff ? -1 : buffer[offset];
+		case 2:
+			var short = buffer.readUInt16LE(offset);
+			return short === 0xffff ? -1 : short;
+		case 4:
+			var int = buffer.readUInt32LE(offset);
+			return int === 0xffffffff ? -1 : int;
+		default:
+			var low = buffer.readUInt32LE(offset);
+			var high = buffer.readUInt32LE(offset + 4);
+			return low === 0xffffffff && high === 0xffffffff ? -1 : high * 0x100000000 + low;
+	}
+}
+
+/**
+ * Inserts a decimal point so the integer string has the given number of decimal places.
+ * @param integer {string}
+ * @param scale {number}
+ * @return {string}
+ */
+function scaleDecimal (integer, scale)
+{
+	var negative = integer[0] === '-';
+	var digits = negative ? integer.substr(1) : integer;
+
+	if (scale > 0)
+	{
+		while (digits.length <= scale)
+			digits = '0' + digits;
+
+		digits = digits.substr(0, digits.length - scale) + '.' + digits.substr(digits.length - scale);
+	}
+
+	return (negative ? '-' : '') + digits;
+}
+
+function skipTerminator (buffer, offset, term, value)
+{
+	if (term)
+	{
+		if (buffer.length < offset + term.length)
+			return null;
+
+		offset += term.length;
+	}
+
+	return { value: value, offset: offset };
+}
+
+function terminatorBytes (field)
+{
+	return Buffer.from(field.terminator, getKind(field.hostType) === 'ntext' ? 'ucs2' : 'latin1');
+}
+
+/**
+ * Negates a little-endian integer in place.
+ * @param bytes {Buffer}
+ */
+function twosComplement (bytes)
+{
+	var carry = 1;
+	for (var i = 0; i < bytes.length; i++)
+	{
+		carry += (~bytes[i]) & 0xff;
+		bytes[i] = carry & 0xff;
+		carry = carry >>> 8;
+	}
+}
+
+/**
+ * Writes a decimal integer string as a little-endian two's complement 64-bit integer.
+ * @param buffer {Buffer}
+ * @param integer {string}
+ * @param offset {number}
+ */
+function writeInt64 (buffer, integer, offset)
+{
+	var negative = integer[0] === '-';
+	var bytes = decimalToBytes(negative ? integer.substr(1) : integer).slice(0, 8);
+	if (negative)
+		twosComplement(bytes);
+
+	bytes.copy(buffer, offset);
+}
+
+function writePrefix (length, size)
+{
+	var buf = Buffer.alloc(size);
+	if (length === -1)
+	{
+		buf.fill(0xff);
+		return buf;
+	}
+
+	switch (size)
+	{
+		case 1: buf.writeUInt8(length, 0); break;
+		case 2: buf.writeUInt16LE(length, 0); break;
+		case 4: buf.writeUInt32LE(length, 0); break;
+		default:
+			buf.writeUInt32LE(length % 0x100000000, 0);
+			buf.writeUInt32LE(Math.floor(length / 0x100000000), 4);
+	}
+
+	return buf;
+}
@@ -0,0 +1,446 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var DateTime = require('./DateTime');
+var Path = require('path');
+var StringDecoder = require('string_decoder').StringDecoder;
+var Transform = require('stream').Transform;
+
+/* =============================================================================
+ *
+ * TextFormat - Streams rows to and from CSV (RFC 4180) and newline-delimited
+ * JSON, the formats other tools expect, as opposed to bcp's own terminated
+ * data files.
+ *
+ * Values are written the way they were typed by the format file (see
+ * Bcp.typesMap): numbers and booleans as JSON numbers and booleans, Dates in
+ * the same text form bcp uses (which keeps datetime2 precision and
+ * datetimeoffset offsets), Buffers as hex and exact types (bigint, decimal,
+ * money) as strings.
+ *
+ * Values are read as they appear in the file: CSV values are strings (see
+ * createReader) and NDJSON values are whatever JSON.parse returns, so it is up
+ * to the caller to convert them into the types of the table's columns.
+ *
+ * ========================================================================== */
+
+var TextFormat = module.exports;
+
+var TYPES = [ 'csv', 'ndjson' ];
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Creates a Transform which takes CSV or NDJSON text (e.g. from Fs.createReadStream) and outputs row objects. Quoted
+ * CSV values may contain the delimiter, quotes and line breaks. An empty CSV field is read as null, while a quoted
+ * empty field ("") is an empty string. Each NDJSON line must be a JSON object. Blank lines are skipped.
+ * @param type {string} "csv" or "ndjson".
+ * @param [options] {{ header: boolean, columns: string[], delimiter: string, encoding: string }} For CSV, header
+ * (default true) means the first line holds the column names, which become the properties of each row. If header is
+ * false, columns must name the fields instead. delimiter defaults to "," and encoding to "utf8".
+ * @return {Transform} Its columns property holds the CSV column names once the header has been read.
+ */
+TextFormat.createReader = function (type, options)
+{
+	options = options || {};
+
+	var csv = TextFormat.getType(type) === 'csv';
+	var state = {
+		delimiter: options.delimiter || ',',
+		columns: csv && options.header === false ? options.columns || null : null,
+		buffer: '',
+		started: false,
+		// the number of CSV rows after the header, or NDJSON lines, which have been read
+		count: 0
+	};
+
+	if (csv && options.header === false && !state.columns)
+		throw new Error('CSV files without a header row need options.columns to name their fields.');
+
+	var decoder = new StringDecoder(options.encoding || 'utf8');
+	var reader = new Transform({
+		readableObjectMode: true,
+		transform: function (chunk, encoding, callback)
+		{
+			state.buffer += decoder.write(chunk);
+			parse(false, callback);
+		},
+		flush: function (callback)
+		{
+			state.buffer += decoder.end();
+			parse(true, callback);
+		}
+	});
+
+	reader.columns = state.columns;
+	return reader;
+
+	function parse (final, callback)
+	{
+		// skip the byte order mark
+		if (!state.started && state.buffer)
+		{
+			state.started = true;
+			if (state.buffer.charCodeAt(0) === 0xfeff)
+				state.buffer = state.buffer.substr(1);
+		}
+
+		var rows;
+		try
+		{
+			rows = csv ? csvRows(state, final) : ndjsonRows(state, final);
+		}
+		catch (ex)
+		{
+			callback(ex);
+			return;
+		}
+
+		reader.columns = state.columns;
+		for (var i = 0; i < rows.length; i++)
+			reader.push(rows[i]);
+
+		callback();
+	}
+};
+
+/**
+ * Creates a Transform which takes row objects and outputs CSV or NDJSON text.
+ * @param type {string} "csv" or "ndjson".
+ * @param fields {Field[]} The fields to write, in order.
+ * @param [options] {{ header: boolean, delimiter: string, newline: string, timezone: string }} For CSV, header (default
+ * true) writes the field names as the first line, delimiter defaults to "," and newline to "\r\n". NDJSON always uses
+ * "\n". timezone is the time zone Dates are written in (see Bcp#timezone).
+ * @return {Transform}
+ */
+TextFormat.createWriter = function (type, fields, options)
+{
+	options = options || {};
+
+	var csv = TextFormat.getType(type) === 'csv';
+	var timezone = options.timezone || 'utc';
+	var delimiter = options.delimiter || ',';
+	var newline = options.newline || (csv ? '\r\n' : '\n');
+	var header = csv && options.header !== false;
+
+	return new Transform({
+		writableObjectMode: true,
+		transform: function (row, encoding, callback)
+		{
+			var line;
+			try
+			{
+				line = csv ? csvLine(row, fields, delimiter, timezone) : ndjsonLine(row, fields, timezone);
+			}
+			catch (ex)
+			{
+				callback(ex);
+				return;
+			}
+
+			if (header)
+			{
+				header = false;
+				this.push(fields.map(function (f) { return csvQuote(f.name, delimiter); }).join(delimiter) + newline);
+			}
+
+			callback(null, line + newline);
+		},
+		flush: function (callback)
+		{
+			// an empty export still has a header
+			if (header)
+				this.push(fields.map(function (f) { return csvQuote(f.name, delimiter); }).join(delimiter) + newline);
+
+			callback();
+		}
+	});
+};
+
+/**
+ * Normalizes a text format name, or works it out from a filename's extension.
+ * @param typeOrFilename {string} "csv", "ndjson" (or "jsonl"), or a filename ending in one of them.
+ * @return {string} "csv" or "ndjson"
+ */
+TextFormat.getType = function (typeOrFilename)
+{
+	var type = String(typeOrFilename || '').toLowerCase();
+	if (TYPES.indexOf(type) === -1 && type !== 'jsonl')
+		type = Path.extname(type).substr(1);
+
+	if (type === 'jsonl')
+		type = 'ndjson';
+
+	if (TYPES.indexOf(type) === -1)
+		throw new Error('Unknown text format "' + typeOrFilename + '". Use "csv" or "ndjson".');
+
+	return type;
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param delimiter {string}
+ * @param timezone {string}
+ * @return {string}
+ */
+function csvLine (row, fields, delimiter, timezone)
+{
+	var values = new Array(fields.length);
+	var value;
+
+	for (var i = 0; i < fields.length; i++)
+	{
+		value = row[fields[i].name];
+
+		// NULL is an empty field, while an empty string is quoted so the two can be told apart
+		if (value === null || value === undefined)
+			values[i] = '';
+		else if (value === '')
+			values[i] = '""';
+		else
+			values[i] = csvQuote(String(textValue(value, fields[i], timezone)), delimiter);
+	}
+
+	return values.join(delimiter);
+}
+
+/**
+ * Reads a quoted CSV value.
+ * @param text {string}
+ * @param i {number} The index of the opening quote.
+ * @param final {boolean} Whether the text is the rest of the file.
+ * @return {?{ value: string, end: number }} Null if the closing quote hasn't been read yet.
+ */
+function csvQuoted (text, i, final)
+{
+	var value = '';
+	var start = i + 1;
+	var q;
+
+	while (true)
+	{
+		q = text.indexOf('"', start);
+
+		// a quote at the end of the text may be the first half of an escaped quote
+		if (q === -1 || (q === text.length - 1 && !final))
+		{
+			if (final)
+				throw new Error('CSV has a quoted value which is never closed.');
+
+			return null;
+		}
+
+		if (text[q + 1] !== '"')
+			return { value: value + text.substring(start, q), end: q + 1 };
+
+		value += text.substring(start, q + 1);
+		start = q + 2;
+	}
+}
+
+/**
+ * Quotes a CSV value if it contains a quote, the delimiter or a line break.
+ * @param str {string}
+ * @param delimiter {string}
+ * @return {string}
+ */
+function csvQuote (str, delimiter)
+{
+	if (str.indexOf('"') === -1 && str.indexOf(delimiter) === -1 && !/[\r\n]/.test(str))
+		return str;
+
+	return '"' + str.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Parses every complete record in state.buffer, leaving any incomplete record in the buffer until more text arrives.
+ * The first record is the header, unless state.columns has already been set.
+ * @param state {object} See createReader.
+ * @param final {boolean} Whether the buffer holds the rest of the file.
+ * @return {object[]}
+ */
+function csvRows (state, final)
+{
+	var text = state.buffer;
+	var delimiter = state.delimiter;
+	var rows = [];
+	var i = 0;
+	var start, values, value, quoted, end, newline, o;
+
+	record_loop:
+	while (i < text.length)
+	{
+		start = i;
+		values = [];
+
+		while (true)
+		{
+			if (text[i] === '"')
+			{
+				quoted = csvQuoted(text, i, final);
+				if (!quoted)
+					break record_loop;
+
+				values.push(quoted.value);
+				i = quoted.end;
+			}
+			else
+			{
+				end = text.indexOf(delimiter, i);
+				newline = text.indexOf('\n', i);
+				if (end === -1 || (newline !== -1 && newline < end))
+					end = newline;
+
+				if (end === -1)
+				{
+					if (!final)
+						break record_loop;
+
+					end = text.length;
+				}
+
+				// an unquoted empty field is NULL
+				value = text.substring(i, end).replace(/\r$/, '');
+				values.push(value === '' ? null : value);
+				i = end;
+			}
+
+			if (text.substr(i, delimiter.length) === delimiter)
+			{
+				i += delimiter.length;
+				continue;
+			}
+
+			if (text[i] === '\r' && text[i + 1] === '\n')
+				i += 2;
+			else if (text[i] === '\n')
+				i++;
+			else if (i < text.length || !final)
+			{
+				// the text may end in the middle of the delimiter or line break
+				if (i + Math.max(delimiter.length, 2) > text.length && !final)
+					break record_loop;
+
+				throw new Error('CSV row ' + (state.count + 1) + ' has characters after a closing quote.');
+			}
+
+			break;
+		}
+
+		start = i;
+
+		// blank lines are skipped
+		if (values.length === 1 && values[0] === null)
+			continue;
+
+		if (!state.columns)
+		{
+			state.columns = values.map(function (v) { return v === null ? '' : v; });
+			continue;
+		}
+
+		state.count++;
+		if (values.length !== state.columns.length)
+		{
+			throw new Error('CSV row ' + state.count + ' has ' + values.length + ' fields, but there are ' +
+				state.columns.length + ' columns.');
+		}
+
+		o = {};
+		for (var c = 0; c < values.length; c++)
+			o[state.columns[c]] = values[c];
+
+		rows.push(o);
+	}
+
+	state.buffer = text.substr(start);
+	return rows;
+}
+
+/**
+ * @param row {object}
+ * @param fields {Field[]}
+ * @param timezone {string}
+ * @return {string}
+ */
+function ndjsonLine (row, fields, timezone)
+{
+	var o = {};
+	var value;
+
+	for (var i = 0; i < fields.length; i++)
+	{
+		value = row[fields[i].name];
+		o[fields[i].name] = value === null || value === undefined ? null : textValue(value, fields[i], timezone);
+	}
+
+	return JSON.stringify(o);
+}
+
+/**
+ * Parses every complete line in state.buffer, leaving the last line in the buffer until its line break arrives.
+ * @param state {object} See createReader.
+ * @param final {boolean} Whether the buffer holds the rest of the file.
+ * @return {object[]}
+ */
+function ndjsonRows (state, final)
+{
+	var lines = state.buffer.split('\n');
+	var rows = [];
+	var line, o;
+
+	state.buffer = final ? '' : lines.pop();
+	for (var i = 0; i < lines.length; i++)
+	{
+		state.count++;
+		line = lines[i].trim();
+		if (!line)
+			continue;
+
+		try
+		{
+			o = JSON.parse(line);
+		}
+		catch (ex)
+		{
+			throw new Error('NDJSON line ' + state.count + ' is not valid JSON: ' + ex.message);
+		}
+
+		if (!o || typeof o !== 'object' || Array.isArray(o))
+			throw new Error('NDJSON line ' + state.count + ' is not an object.');
+
+		rows.push(o);
+	}
+
+	return rows;
+}
+
+/**
+ * Converts the values JSON can't represent exactly (or at all) into strings.
+ * @param value {*} Not null.
+ * @param field {Field}
+ * @param timezone {string}
+ * @return {*}
+ */
+function textValue (value, field, timezone)
+{
+	if (value instanceof Date)
+		return DateTime.format(value, field.type, field.column ? parseInt(field.column.SCALE, 10) : null, timezone);
+
+	if (Buffer.isBuffer(value))
+		return value.toString('hex').toUpperCase();
+
+	if (typeof value === 'bigint')
+		return String(value);
+
+	return value;
+}
@@ -0,0 +1,78 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+//
+
+/* =============================================================================
+ *
+ * Types - Registry of custom type codecs (see Bcp.registerType).
+ *
+ * A codec is { serialize: function (value, field), deserialize: function (value, field) }
+ * and either function may be omitted. Codecs sit on top of the built-in
+ * conversions: serialize turns an application value into one the built-in
+ * serialization understands (a string always works), and deserialize receives
+ * the value the built-in deserialization produced (see Bcp.typesMap). Null
+ * values are never passed to a codec.
+ *
+ * ========================================================================== */
+
+var Types = module.exports;
+
+// codecs registered globally with Bcp.registerType, keyed by bcp type
+var GLOBAL = {};
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Finds the codec for a bcp type. Codecs registered on the instance take precedence over global ones.
+ * @param types {?object} The instance's codecs (Bcp#types), or null to only look at global codecs.
+ * @param sqlType {string}
+ * @return {?{ serialize: ?function, deserialize: ?function }}
+ */
+Types.get = function (types, sqlType)
+{
+	var key = String(sqlType).toUpperCase();
+
+	if (types && Object.prototype.hasOwnProperty.call(types, key))
+		return types[key];
+
+	if (Object.prototype.hasOwnProperty.call(GLOBAL, key))
+		return GLOBAL[key];
+
+	return null;
+};
+
+/**
+ * Adds, replaces or (if codec is null) removes a codec.
+ * @param types {?object} The instance's codecs (Bcp#types), or null to register a global codec.
+ * @param sqlType {string} The bcp type, e.g. "SQLDECIMAL".
+ * @param codec {?{ serialize: ?function, deserialize: ?function }}
+ */
+Types.register = function (types, sqlType, codec)
+{
+	if (typeof sqlType !== 'string' || !sqlType)
+		throw new Error('registerType requires a bcp type name such as "SQLDECIMAL".');
+
+	var registry = types || GLOBAL;
+	var key = sqlType.toUpperCase();
+
+	if (codec === null || codec === undefined)
+	{
+		delete registry[key];
+		return;
+	}
+
+	var hasSerialize = typeof codec.serialize === 'function';
+	var hasDeserialize = typeof codec.deserialize === 'function';
+	if (!hasSerialize && !hasDeserialize)
+		throw new Error('The codec for ' + key + ' must have a serialize and/or deserialize function.');
+
+	registry[key] = {
+		serialize: hasSerialize ? codec.serialize : null,
+		deserialize: hasDeserialize ? codec.deserialize : null
+	};
+};
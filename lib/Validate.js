@@ -0,0 +1,223 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var DateTime = require('./DateTime');
+
+/* =============================================================================
+ *
+ * Validate - Checks values against the fields of a format file before they are
+ * written to a data file (see ImportFile#strict), so bad data is reported with
+ * its row and column instead of failing inside bcp.
+ *
+ * ========================================================================== */
+
+var Validate = module.exports;
+
+var INT_RANGES = {
+	SQLTINYINT: [ 0, 255 ],
+	SQLSMALLINT: [ -32768, 32767 ],
+	SQLINT: [ -2147483648, 2147483647 ]
+};
+
+var BIGINT_MAX = '9223372036854775807';
+var BIGINT_MIN = '9223372036854775808'; // magnitude
+
+var HEX_REGEX = /^(0x)?([0-9a-f]{2})*$/i;
+var GUID_REGEX = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+var DECIMAL_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+var INTEGER_REGEX = /^[+-]?\d+$/;
+
+/* -------------------------------------------------------------------
+ * Public Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Checks a single value. Custom codecs have already been applied, so the value is one the built-in serialization
+ * understands.
+ * @param value {*}
+ * @param field {Field}
+ * @param [timezone] {string}
+ * @return {?string} A description of the problem, or null if the value is valid.
+ */
+Validate.value = function (value, field, timezone)
+{
+	var column = field.column || {};
+	var n;
+
+	if (value === null || value === undefined)
+		return column.NULLABLE === 'NO' ? 'cannot be NULL' : null;
+
+	switch (getKind(field.type))
+	{
+		case 'bit':
+			if (value === true || value === false || value === 0 || value === 1 || value === '0' || value === '1')
+				return null;
+
+			return 'must be a boolean, 0 or 1';
+		case 'int':
+			return checkInteger(value, field.type);
+		case 'float':
+			n = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+			return isFinite(n) ? null : 'must be a finite number';
+		case 'decimal':
+			return checkDecimal(value, column);
+		case 'date':
+			if (value instanceof Date)
+				return isNaN(value.getTime()) ? 'is an invalid Date' : null;
+
+			if (typeof value !== 'string' || isNaN(DateTime.parse(value, field.type, timezone).getTime()))
+				return 'must be a Date or a date string';
+
+			return null;
+		case 'guid':
+			return GUID_REGEX.test(String(value)) ? null : 'must be a uniqueidentifier';
+		case 'binary':
+			if (Buffer.isBuffer(value))
+				return checkLength(value.length, getMaxBytes(field));
+
+			if (typeof value === 'string' && HEX_REGEX.test(value))
+				return checkLength(value.replace(/^0x/i, '').length / 2, getMaxBytes(field));
+
+			return 'must be a Buffer or hex string';
+		case 'char':
+			if (typeof value === 'object' && !(value instanceof Date))
+				return 'must be a string, number, boolean or Date';
+
+			// SQLNCHAR fields store two bytes per character
+			n = field.maxLength && field.hostType === 'SQLNCHAR' ? field.maxLength / 2 : field.maxLength;
+			// Dates are written to character columns as "yyyy-mm-dd hh:mm:ss.fff"
+			value = value instanceof Date ? DateTime.format(value, field.type, null, timezone) : String(value);
+			return checkLength(value.length, n);
+		default:
+			return null;
+	}
+};
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function checkDecimal (value, column)
+{
+	var str = typeof value === 'number' ? (isFinite(value) ? String(value) : '') : String(value).trim();
+	if (typeof value === 'number' && /e/i.test(str))
+		str = value.toFixed(20);
+
+	if ((typeof value !== 'number' && typeof value !== 'string') || !DECIMAL_REGEX.test(str))
+		return 'must be a number or numeric string';
+
+	if (column.PRECISION === undefined)
+		return null;
+
+	var precision = Number(column.PRECISION);
+	var scale = Number(column.SCALE || 0);
+	var integer = str.replace(/^[+-]/, '').split('.')[0].replace(/^0+/, '');
+
+	if (integer.length > precision - scale)
+		return 'does not fit in decimal(' + precision + ', ' + scale + ')';
+
+	return null;
+}
+
+function checkInteger (value, type)
+{
+	var str = typeof value === 'bigint' ? String(value) : typeof value === 'number' ? String(value) : value;
+	if (typeof str !== 'string' || !INTEGER_REGEX.test(str.trim()))
+		return 'must be an integer';
+
+	str = str.trim();
+	var range = INT_RANGES[type];
+	if (range)
+	{
+		var n = Number(str);
+		return n < range[0] || n > range[1] ? 'is out of range for ' + type : null;
+	}
+
+	// bigint values may be larger than a Number can hold exactly, so compare the digits
+	var negative = str[0] === '-';
+	var digits = str.replace(/^[+-]/, '').replace(/^0+(?=\d)/, '');
+	var max = negative ? BIGINT_MIN : BIGINT_MAX;
+	if (digits.length > max.length || (digits.length === max.length && digits > max))
+		return 'is out of range for ' + type;
+
+	return null;
+}
+
+/**
+ * @param length {number}
+ * @param max {?number}
+ * @return {?string}
+ */
+function checkLength (length, max)
+{
+	if (max && length > max)
+		return 'is longer than the maximum length of ' + max;
+
+	return null;
+}
+
+function getKind (type)
+{
+	switch (type)
+	{
+		case 'SQLBIT':
+			return 'bit';
+		case 'SQLTINYINT':
+		case 'SQLSMALLINT':
+		case 'SQLINT':
+		case 'SQLBIGINT':
+			return 'int';
+		case 'SQLFLT4':
+		case 'SQLFLT8':
+			return 'float';
+		case 'SQLDECIMAL':
+		case 'SQLNUMERIC':
+		case 'SQLMONEY':
+		case 'SQLMONEY4':
+			return 'decimal';
+		case 'SQLDATE':
+		case 'SQLTIME':
+		case 'SQLDATETIME':
+		case 'SQLDATETIM4':
+		case 'SQLDATETIM8':
+		case 'SQLDATETIME2':
+		case 'SQLDATETIMEOFFSET':
+			return 'date';
+		case 'SQLUNIQUEID':
+			return 'guid';
+		case 'SQLBINARY':
+		case 'SQLVARYBIN':
+		case 'SQLBIGBINARY':
+		case 'SQLBIGVARYBIN':
+			return 'binary';
+		case 'SQLCHAR':
+		case 'SQLVARYCHAR':
+		case 'SQLBIGCHAR':
+		case 'SQLBIGVARCHAR':
+		case 'SQLNCHAR':
+		case 'SQLNVARCHAR':
+			return 'char';
+		default:
+			return null;
+	}
+}
+
+/**
+ * @param field {Field}
+ * @return {?number} The maximum number of bytes of a binary field, or null if there isn't a limit.
+ */
+function getMaxBytes (field)
+{
+	if (!field.maxLength)
+		return null;
+
+	// character formats write binary data as hex, which takes two characters per byte
+	switch (field.hostType)
+	{
+		case 'SQLNCHAR': return field.maxLength / 4;
+		case 'SQLCHAR': return field.maxLength / 2;
+		default: return field.maxLength;
+	}
+}
@@ -0,0 +1,78 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Assert = require('assert');
+var ErrorFile = require('../lib/ErrorFile');
+var FormatFile = require('../lib/FormatFile');
+var Fs = require('fs');
+var Os = require('os');
+var Path = require('path');
+
+/* =============================================================================
+ *
+ * ErrorFile - reading rejected rows
+ *
+ * ========================================================================== */
+
+describe('ErrorFile', function ()
+{
+	var dir, filename, format;
+
+	beforeEach(function ()
+	{
+		dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'bcp-test-'));
+		filename = Path.join(dir, 'errors.txt');
+		format = FormatFile.fromColumns([ { name: 'id', type: 'int' }, { name: 'at', type: 'varchar', length: 20 } ],
+			{ unicode: false });
+
+		Fs.writeFileSync(filename, '#@ Row 2, Column 2: Invalid character value for cast specification @#\n2\tnot a date\n');
+	});
+
+	afterEach(function ()
+	{
+		Fs.readdirSync(dir).forEach(function (f) { Fs.unlinkSync(Path.join(dir, f)); });
+		Fs.rmdirSync(dir);
+	});
+
+	it('parses rejected rows', function (done)
+	{
+		ErrorFile.read(filename, format, deserialize, null, function (error, rejected)
+		{
+			Assert.ifError(error);
+			Assert.deepStrictEqual(rejected, [ {
+				row: 2,
+				column: 2,
+				columnName: 'at',
+				message: 'Invalid character value for cast specification',
+				data: { id: '2', at: 'not a date' },
+				raw: '2\tnot a date\n'
+			} ]);
+			done();
+		});
+	});
+
+	it('passes the error to the callback when a codec throws', function (done)
+	{
+		var types = {
+			SQLVARYCHAR: { deserialize: function () { throw new Error('bad value'); } }
+		};
+
+		ErrorFile.read(filename, format, deserialize, { types: types }, function (error, rejected)
+		{
+			Assert.strictEqual(error.message, 'bad value');
+			Assert.deepStrictEqual(rejected, []);
+			done();
+		});
+	});
+});
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+function deserialize (value)
+{
+	return value;
+}
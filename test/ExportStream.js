@@ -0,0 +1,128 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Assert = require('assert');
+var Bcp = require('../lib/Bcp');
+var FormatFile = require('../lib/FormatFile');
+var Fs = require('fs');
+var Native = require('../lib/Native');
+var Os = require('os');
+var Path = require('path');
+
+/* =============================================================================
+ *
+ * ExportStream - errors converting values
+ *
+ * ========================================================================== */
+
+var COLUMNS = [ { name: 'id', type: 'int' }, { name: 'name', type: 'varchar', length: 10 } ];
+
+describe('ExportStream', function ()
+{
+	var dir, bcp;
+
+	beforeEach(function ()
+	{
+		dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'bcp-test-'));
+		bcp = new Bcp({ tmp: dir });
+		bcp.registerType('SQLINT', {
+			deserialize: function (value)
+			{
+				if (value === 2)
+					throw new RangeError('bad id');
+
+				return value;
+			}
+		});
+	});
+
+	afterEach(function ()
+	{
+		Fs.readdirSync(dir).forEach(function (f) { Fs.unlinkSync(Path.join(dir, f)); });
+		Fs.rmdirSync(dir);
+	});
+
+	[ false, true ].forEach(function (native)
+	{
+		var kind = native ? 'native' : 'character';
+
+		it('emits an error when a codec throws (' + kind + ' format)', function (done)
+		{
+			var format = writeExport(dir, native);
+			var rows = [];
+			var stream = Bcp.createExportStream(Path.join(dir, 'export.dat'), format, bcp);
+
+			stream.on('data', function (row) { rows.push(row); });
+			stream.on('end', function () { Assert.fail('the stream ended'); });
+			stream.on('error', function (error)
+			{
+				Assert.ok(error instanceof RangeError);
+				Assert.strictEqual(error.message, 'bad id');
+				Assert.strictEqual(error.row, 2);
+				Assert.strictEqual(error.column, 'id');
+				Assert.deepStrictEqual(rows, [ { id: 1, name: 'a' } ]);
+				done();
+			});
+		});
+
+		it('passes the error to the readExport callback (' + kind + ' format)', function (done)
+		{
+			var format = writeExport(dir, native);
+			Bcp.readExport(Path.join(dir, 'export.dat'), format, bcp, function (error, rows)
+			{
+				Assert.ok(error instanceof RangeError);
+				Assert.strictEqual(rows, undefined);
+				done();
+			});
+		});
+	});
+
+	it('emits an error when the deserializer throws', function (done)
+	{
+		var format = writeExport(dir, false);
+		var stream = Bcp.createExportStream(Path.join(dir, 'export.dat'), format);
+		stream._deserialize = function () { throw new Error('cannot parse'); };
+
+		stream.on('data', function () { Assert.fail('a row was pushed'); });
+		stream.on('error', function (error)
+		{
+			Assert.strictEqual(error.message, 'cannot parse');
+			Assert.strictEqual(error.row, 1);
+			done();
+		});
+	});
+});
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Writes three rows to export.dat in dir.
+ * @param dir {string}
+ * @param native {boolean}
+ * @return {FormatFile}
+ */
+function writeExport (dir, native)
+{
+	var format = FormatFile.fromColumns(COLUMNS, { native: native, unicode: false });
+	var rows = [ [ 1, 'a' ], [ 2, 'b' ], [ 3, 'c' ] ];
+	var data;
+
+	if (native)
+	{
+		data = Buffer.concat(rows.map(function (r)
+		{
+			return Buffer.concat(format.fields.map(function (f, i) { return Native.writeField(r[i], f); }));
+		}));
+	}
+	else
+	{
+		data = rows.map(function (r) { return r.join('\t') + '\n'; }).join('');
+	}
+
+	Fs.writeFileSync(Path.join(dir, 'export.dat'), data);
+	return format;
+}
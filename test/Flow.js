@@ -0,0 +1,280 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Assert = require('assert');
+var Flow = require('../lib/Flow');
+var Job = require('../lib/Job');
+
+/* =============================================================================
+ *
+ * Flow - ordering and error semantics
+ *
+ * ========================================================================== */
+
+describe('Flow.map', function ()
+{
+	it('returns results in the order of the items, not the order they complete in', function (done)
+	{
+		Flow.map(
+			[ 30, 10, 20 ],
+			function (cb, delay, i)
+			{
+				setTimeout(function () { cb(null, i + ':' + delay); }, delay);
+			},
+			function (error, results)
+			{
+				Assert.strictEqual(error, null);
+				Assert.deepStrictEqual(results, [ '0:30', '1:10', '2:20' ]);
+				done();
+			}
+		);
+	});
+
+	it('waits for every item and passes the first error as it was received', function (done)
+	{
+		var first = new Error('first');
+		var finished = [];
+		Flow.map(
+			[ 1, 2, 3 ],
+			function (cb, item)
+			{
+				setTimeout(function ()
+				{
+					finished.push(item);
+					cb(item === 1 ? first : item === 2 ? new Error('second') : null, item);
+				}, item * 5);
+			},
+			function (error, results)
+			{
+				Assert.strictEqual(error, first);
+				Assert.deepStrictEqual(finished, [ 1, 2, 3 ]);
+				Assert.deepStrictEqual(results, [ 1, 2, 3 ]);
+				done();
+			}
+		);
+	});
+
+	it('calls back asynchronously for an empty array', function (done)
+	{
+		var returned = false;
+		Flow.map([], function () { Assert.fail('method called'); }, function (error, results)
+		{
+			Assert.ok(returned);
+			Assert.strictEqual(error, null);
+			Assert.deepStrictEqual(results, []);
+			done();
+		});
+		returned = true;
+	});
+
+	it('ignores a method which calls back more than once', function (done)
+	{
+		var calls = 0;
+		Flow.map(
+			[ 1, 2 ],
+			function (cb, item)
+			{
+				cb(null, item);
+				cb(new Error('again'), -item);
+			},
+			function (error, results)
+			{
+				calls++;
+				Assert.strictEqual(error, null);
+				Assert.deepStrictEqual(results, [ 1, 2 ]);
+				setImmediate(function ()
+				{
+					Assert.strictEqual(calls, 1);
+					done();
+				});
+			}
+		);
+	});
+});
+
+describe('Flow.promise', function ()
+{
+	function method (a, b, callback)
+	{
+		var job = new Job();
+		setImmediate(function ()
+		{
+			if (a === 'fail')
+				callback(new TypeError(b));
+			else
+				callback(null, a, b);
+		});
+
+		return job;
+	}
+
+	it('resolves with the first result', function ()
+	{
+		return Flow.promise(null, method, [ 'a', 'b' ]).then(function (result)
+		{
+			Assert.strictEqual(result, 'a');
+		});
+	});
+
+	it('resolves with the return value of mapResults', function ()
+	{
+		return Flow.promise(null, method, [ 'a', 'b' ], function (a, b) { return a + b; }).then(function (result)
+		{
+			Assert.strictEqual(result, 'ab');
+		});
+	});
+
+	it('rejects with the error as it was received', function ()
+	{
+		return Flow.promise(null, method, [ 'fail', 'message' ]).then(
+			function () { Assert.fail('resolved'); },
+			function (error)
+			{
+				Assert.ok(error instanceof TypeError);
+				Assert.strictEqual(error.message, 'message');
+			}
+		);
+	});
+
+	it('has a cancel method only when the method returns a Job', function ()
+	{
+		var job = null;
+		var promise = Flow.promise(null, function (callback)
+		{
+			job = method('a', 'b', callback);
+			return job;
+		}, []);
+
+		Assert.strictEqual(typeof promise.cancel, 'function');
+		promise.cancel();
+		Assert.ok(job.cancelled);
+
+		var plain = Flow.promise(null, function (callback) { setImmediate(callback); }, []);
+		Assert.strictEqual(plain.cancel, undefined);
+		return Promise.all([ promise, plain ]);
+	});
+});
+
+describe('Flow.waterfall', function ()
+{
+	it('runs methods in order, passing each one the results of the last', function (done)
+	{
+		var order = [];
+		Flow.waterfall(
+			[
+				function (cb)
+				{
+					order.push(1);
+					setTimeout(function () { cb(null, 'a', 'b'); }, 10);
+				},
+				function (cb, a, b)
+				{
+					order.push(2);
+					Assert.deepStrictEqual([ a, b ], [ 'a', 'b' ]);
+					cb(null, a + b);
+				},
+				function (cb, ab)
+				{
+					order.push(3);
+					cb(null, ab, 'c');
+				}
+			],
+			function (error, ab, c)
+			{
+				Assert.strictEqual(error, null);
+				Assert.deepStrictEqual([ ab, c ], [ 'ab', 'c' ]);
+				Assert.deepStrictEqual(order, [ 1, 2, 3 ]);
+				done();
+			}
+		);
+	});
+
+	it('skips the remaining methods after an error and passes it as it was received', function (done)
+	{
+		var error = new RangeError('stop');
+		Flow.waterfall(
+			[
+				function (cb) { cb(error, 'partial'); },
+				function () { Assert.fail('method called after an error'); }
+			],
+			function (err, result)
+			{
+				Assert.strictEqual(err, error);
+				Assert.strictEqual(result, 'partial');
+				done();
+			}
+		);
+	});
+
+	it('skips the remaining methods when cb.break is called', function (done)
+	{
+		Flow.waterfall(
+			[
+				function (cb) { cb.break(); },
+				function () { Assert.fail('method called after break'); }
+			],
+			function (error)
+			{
+				Assert.strictEqual(error, null);
+				done();
+			}
+		);
+	});
+
+	it('ignores a method which calls back more than once', function (done)
+	{
+		var calls = 0;
+		Flow.waterfall(
+			[
+				function (cb)
+				{
+					cb(null, 1);
+					cb(new Error('again'));
+				},
+				function (cb, n) { cb(null, n + 1); }
+			],
+			function (error, n)
+			{
+				calls++;
+				Assert.strictEqual(error, null);
+				Assert.strictEqual(n, 2);
+				setImmediate(function ()
+				{
+					Assert.strictEqual(calls, 1);
+					done();
+				});
+			}
+		);
+	});
+
+	it('calls back asynchronously, even when every method is synchronous', function (done)
+	{
+		var returned = false;
+		Flow.waterfall([ function (cb) { cb(null); } ], function ()
+		{
+			Assert.ok(returned);
+			Flow.waterfall([], function (error)
+			{
+				Assert.strictEqual(error, null);
+				done();
+			});
+		});
+		returned = true;
+	});
+
+	it('does not grow the stack with long chains of synchronous methods', function (done)
+	{
+		var methods = [];
+		for (var i = 0; i < 20000; i++)
+			methods.push(function (cb, n) { cb(null, (n || 0) + 1); });
+
+		Flow.waterfall(methods, function (error, n)
+		{
+			Assert.strictEqual(error, null);
+			Assert.strictEqual(n, 20000);
+			done();
+		});
+	});
+});
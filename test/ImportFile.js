@@ -0,0 +1,138 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Assert = require('assert');
+var ChunkedImportFile = require('../lib/ChunkedImportFile');
+var FormatFile = require('../lib/FormatFile');
+var Fs = require('fs');
+var ImportFile = require('../lib/ImportFile');
+var Os = require('os');
+var Path = require('path');
+var Stream = require('stream');
+
+/* =============================================================================
+ *
+ * ImportFile and ChunkedImportFile as Writable streams
+ *
+ * ========================================================================== */
+
+describe('ImportFile', function ()
+{
+	var dir;
+
+	beforeEach(function ()
+	{
+		dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'bcp-test-'));
+	});
+
+	afterEach(function ()
+	{
+		Fs.readdirSync(dir).forEach(function (f) { Fs.unlinkSync(Path.join(dir, f)); });
+		Fs.rmdirSync(dir);
+	});
+
+	it('closes and deletes its files when a pipeline fails', function (done)
+	{
+		createFormat(dir, function (error, format)
+		{
+			Assert.ifError(error);
+
+			var imp = new ImportFile(null, format, 'T', Path.join(dir, 'import.dat'), format.encoding);
+			Stream.pipeline(failingSource(), imp, function (error)
+			{
+				Assert.strictEqual(error.message, 'source failed');
+				imp.once('close', function ()
+				{
+					Assert.ok(imp.writeStream.destroyed);
+					Assert.deepStrictEqual(Fs.readdirSync(dir), []);
+					done();
+				});
+			});
+		});
+	});
+
+	it('keeps its files when destroyed with executeOptions.keepFiles', function (done)
+	{
+		createFormat(dir, function (error, format)
+		{
+			Assert.ifError(error);
+
+			var imp = new ImportFile(null, format, 'T', Path.join(dir, 'import.dat'), format.encoding);
+			imp.executeOptions = { keepFiles: true };
+			imp.write({ id: 1, name: 'a' });
+			imp.once('close', function ()
+			{
+				Assert.ok(imp.writeStream.destroyed);
+				Assert.deepStrictEqual(Fs.readdirSync(dir).sort(), [ 'format.fmt', 'import.dat' ]);
+				imp.save(function (error)
+				{
+					Assert.ok(error, 'a destroyed ImportFile cannot be saved');
+					done();
+				});
+			});
+			imp.destroy();
+		});
+	});
+
+	it('deletes every chunk when a ChunkedImportFile is destroyed', function (done)
+	{
+		createFormat(dir, function (error, format)
+		{
+			Assert.ifError(error);
+
+			var imp = new ChunkedImportFile(null, format, 'T', Path.join(dir, 'import.dat'), format.encoding, { rows: 1 });
+			Stream.pipeline(failingSource(), imp, function (error)
+			{
+				Assert.strictEqual(error.message, 'source failed');
+				imp.once('close', function ()
+				{
+					Assert.strictEqual(imp.chunks.length, 2);
+					imp.chunks.forEach(function (chunk) { Assert.ok(chunk.writeStream.destroyed); });
+					Assert.deepStrictEqual(Fs.readdirSync(dir), []);
+					done();
+				});
+			});
+		});
+	});
+});
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Saves a two column format file to dir.
+ * @param dir {string}
+ * @param callback {function(Error, FormatFile)}
+ */
+function createFormat (dir, callback)
+{
+	var format = FormatFile.fromColumns([ { name: 'id', type: 'int' }, { name: 'name', type: 'nvarchar', length: 50 } ]);
+	format.fields.forEach(function (f) { f.inImport = true; });
+	format.save(Path.join(dir, 'format.fmt'), function (error)
+	{
+		callback(error, format);
+	});
+}
+
+/**
+ * A stream of two rows which then fails.
+ * @return {Readable}
+ */
+function failingSource ()
+{
+	var rows = [ { id: 1, name: 'a' }, { id: 2, name: 'b' } ];
+	return new Stream.Readable({
+		objectMode: true,
+		read: function ()
+		{
+			var _this = this;
+			if (rows.length)
+				this.push(rows.shift());
+			else
+				setImmediate(function () { _this.destroy(new Error('source failed')); });
+		}
+	});
+}
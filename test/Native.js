@@ -0,0 +1,117 @@
+"use strict";
+/* -------------------------------------------------------------------
+ * Require Statements << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+var Assert = require('assert');
+var Bcp = require('../lib/Bcp');
+var FormatFile = require('../lib/FormatFile');
+var Fs = require('fs');
+var Native = require('../lib/Native');
+var Os = require('os');
+var Path = require('path');
+
+/* =============================================================================
+ *
+ * Native format - supported types round trip, unsupported types are rejected
+ *
+ * ========================================================================== */
+
+var UNSUPPORTED = /Column at is a SQLDATETIME2, which is not supported in native format/;
+
+describe('Native', function ()
+{
+	var dir;
+
+	beforeEach(function ()
+	{
+		dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'bcp-test-'));
+	});
+
+	afterEach(function ()
+	{
+		Fs.readdirSync(dir).forEach(function (f) { Fs.unlinkSync(Path.join(dir, f)); });
+		Fs.rmdirSync(dir);
+	});
+
+	it('round trips datetime values in a time zone', function ()
+	{
+		var format = FormatFile.fromColumns([ { name: 'at', type: 'datetime' } ], { native: true });
+		var date = new Date(Date.UTC(2014, 6, 1, 15, 30, 0, 0));
+		var bytes = Native.writeField(date, format.fields[0], 'America/Chicago');
+		var result = Native.readField(bytes, 0, format.fields[0], 'America/Chicago');
+
+		Assert.strictEqual(result.offset, bytes.length);
+		Assert.strictEqual(result.value.getTime(), date.getTime());
+		// stored as the wall clock time in Chicago (UTC-5 in July)
+		Assert.strictEqual(Native.readField(bytes, 0, format.fields[0]).value.toISOString(), '2014-07-01T10:30:00.000Z');
+	});
+
+	it('rejects date and time columns in FormatFile.fromColumns', function ()
+	{
+		Assert.throws(function ()
+		{
+			FormatFile.fromColumns([ { name: 'id', type: 'int' }, { name: 'at', type: 'datetime2' } ], { native: true });
+		}, UNSUPPORTED);
+
+		[ 'date', 'time', 'datetimeoffset' ].forEach(function (type)
+		{
+			Assert.throws(function () { FormatFile.fromColumns([ { name: 'at', type: type } ], { native: true }); });
+		});
+
+		// character formats support them
+		FormatFile.fromColumns([ { name: 'at', type: 'datetime2' } ]);
+	});
+
+	it('fails an export stream with a date or time column instead of returning Buffers', function (done)
+	{
+		loadFormat(dir, function (error, format)
+		{
+			Assert.ifError(error);
+			Assert.ok(format.native);
+
+			var filename = Path.join(dir, 'export.dat');
+			Fs.writeFileSync(filename, Buffer.alloc(0));
+			Bcp.readExport(filename, format, function (error)
+			{
+				Assert.ok(error);
+				Assert.ok(UNSUPPORTED.test(error.message), error.message);
+				done();
+			});
+		});
+	});
+
+	it('fails prepareBulkInsert with a date or time column before running bcp', function (done)
+	{
+		loadFormat(dir, function (error, format)
+		{
+			Assert.ifError(error);
+
+			var bcp = new Bcp({ tmp: dir, exec: Path.join(dir, 'no-bcp') });
+			bcp.prepareBulkInsert('T', [ 'at' ], { format: format }, function (error)
+			{
+				Assert.ok(error);
+				Assert.ok(UNSUPPORTED.test(error.message), error.message);
+				done();
+			});
+		});
+	});
+});
+
+/* -------------------------------------------------------------------
+ * Private Methods << Keep in alphabetical order >>
+ * ---------------------------------------------------------------- */
+
+/**
+ * Loads a native format file like the one bcp generates for a table with one datetime2 column.
+ * @param dir {string}
+ * @param callback {function(Error, FormatFile)}
+ */
+function loadFormat (dir, callback)
+{
+	var filename = Path.join(dir, 'native.fmt');
+	Fs.writeFileSync(filename, '14.0\n1\n1       SQLDATETIME2        1       8       ""                      1     at' +
+		'                            ""\n');
+
+	FormatFile.fromFile(filename, false, callback);
+}